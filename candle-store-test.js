@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Candle Store Tests
+ * Checks coverage-range bookkeeping of the on-disk candle cache (in-memory SQLite)
+ */
+
+const {
+  initCandleStore,
+  closeCandleStore,
+  getCandleStore,
+  saveCandles,
+  getCandles,
+  getLatestCandles,
+  addCoverage,
+  getMissingRanges
+} = require('./src/store/candles');
+
+console.log('='.repeat(60));
+console.log('PA-Bot Candle Store - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    // Fresh in-memory store per test
+    closeCandleStore();
+    initCandleStore(':memory:');
+    fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expectRanges(actual, expected, label) {
+  const text = (ranges) => ranges.map((r) => `[${r.startTime},${r.endTime}]`).join(' ') || '(none)';
+  if (text(actual) !== text(expected)) {
+    throw new Error(`${label}: expected ${text(expected)}, got ${text(actual)}`);
+  }
+}
+
+function coverageRows() {
+  return getCandleStore()
+    .prepare('SELECT start_time, end_time FROM candle_coverage WHERE symbol = ? AND interval = ? ORDER BY start_time')
+    .all('BTCUSDT', '1h')
+    .map((row) => ({ startTime: row.start_time, endTime: row.end_time }));
+}
+
+test('everything is missing on an empty store', () => {
+  expectRanges(getMissingRanges('BTCUSDT', '1h', 100, 200), [{ startTime: 100, endTime: 200 }], 'missing');
+});
+
+test('covered range leaves gaps on both sides', () => {
+  addCoverage('BTCUSDT', '1h', 120, 150);
+  expectRanges(getMissingRanges('BTCUSDT', '1h', 100, 200), [
+    { startTime: 100, endTime: 119 },
+    { startTime: 151, endTime: 200 }
+  ], 'missing');
+});
+
+test('fully covered request has nothing missing', () => {
+  addCoverage('BTCUSDT', '1h', 50, 250);
+  expectRanges(getMissingRanges('BTCUSDT', '1h', 100, 200), [], 'missing');
+});
+
+test('gaps between several covered ranges', () => {
+  addCoverage('BTCUSDT', '1h', 100, 110);
+  addCoverage('BTCUSDT', '1h', 130, 140);
+  addCoverage('BTCUSDT', '1h', 190, 300);
+  expectRanges(getMissingRanges('BTCUSDT', '1h', 100, 200), [
+    { startTime: 111, endTime: 129 },
+    { startTime: 141, endTime: 189 }
+  ], 'missing');
+});
+
+test('overlapping coverage merges into one range', () => {
+  addCoverage('BTCUSDT', '1h', 100, 150);
+  addCoverage('BTCUSDT', '1h', 140, 200);
+  expectRanges(coverageRows(), [{ startTime: 100, endTime: 200 }], 'coverage');
+});
+
+test('adjacent coverage merges, separated coverage does not', () => {
+  addCoverage('BTCUSDT', '1h', 100, 149);
+  addCoverage('BTCUSDT', '1h', 150, 200);
+  addCoverage('BTCUSDT', '1h', 202, 210);
+  expectRanges(coverageRows(), [
+    { startTime: 100, endTime: 200 },
+    { startTime: 202, endTime: 210 }
+  ], 'coverage');
+});
+
+test('coverage bridging two ranges merges all three', () => {
+  addCoverage('BTCUSDT', '1h', 100, 120);
+  addCoverage('BTCUSDT', '1h', 180, 200);
+  addCoverage('BTCUSDT', '1h', 110, 190);
+  expectRanges(coverageRows(), [{ startTime: 100, endTime: 200 }], 'coverage');
+});
+
+test('coverage is kept per symbol and interval', () => {
+  addCoverage('ETHUSDT', '1h', 100, 200);
+  addCoverage('BTCUSDT', '4h', 100, 200);
+  expectRanges(getMissingRanges('BTCUSDT', '1h', 100, 200), [{ startTime: 100, endTime: 200 }], 'missing');
+});
+
+test('saved candles come back in order and replace by openTime', () => {
+  const candle = (openTime, close) => ({
+    openTime, open: 1, high: 2, low: 0.5, close, volume: 10, closeTime: openTime + 59
+  });
+  saveCandles('BTCUSDT', '1h', [candle(120, 1.2), candle(60, 1.1), candle(0, 1.0)]);
+  saveCandles('BTCUSDT', '1h', [candle(60, 1.5)]);
+
+  const all = getCandles('BTCUSDT', '1h', 0, 120);
+  if (all.map((c) => c.openTime).join(',') !== '0,60,120') throw new Error('candles not ordered by openTime');
+  if (all[1].close !== 1.5) throw new Error('candle not replaced');
+
+  const latest = getLatestCandles('BTCUSDT', '1h', 2);
+  if (latest.map((c) => c.openTime).join(',') !== '60,120') throw new Error('latest candles wrong');
+});
+
+closeCandleStore();
+
+// Summary
+console.log();
+console.log('='.repeat(60));
+console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+console.log('='.repeat(60));
+
+if (passedTests === totalTests) {
+  console.log('✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+  process.exit(1);
+}
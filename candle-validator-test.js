@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Candle Validation Tests
+ * Checks candleValidator and how klinesCache stores validated candles
+ */
+
+const candleValidator = require('./src/binance/candleValidator');
+const klinesCache = require('./src/binance/klinesCache');
+
+console.log('='.repeat(60));
+console.log('PA-Bot Candle Validation - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const START = 1700000000000 - (1700000000000 % HOUR);
+
+function candle(index, overrides = {}) {
+  const openTime = START + index * HOUR;
+  return {
+    openTime,
+    open: 100,
+    high: 102,
+    low: 99,
+    close: 101,
+    volume: 10,
+    closeTime: openTime + HOUR - 1,
+    isClosed: true,
+    ...overrides
+  };
+}
+
+function countsFor(symbol) {
+  const entry = candleValidator.getAnomalies().find((a) => a.symbol === symbol);
+  return entry ? entry.counts : {};
+}
+
+function openTimes(symbol) {
+  return klinesCache.get(symbol, '1h').map((c) => (c.openTime - START) / HOUR).join(',');
+}
+
+test('valid candle passes unchanged', () => {
+  const c = candle(0);
+  expect(candleValidator.sanitize('VALID', '1h', c), c, 'same object');
+});
+
+test('malformed candles are rejected', () => {
+  expect(candleValidator.sanitize('BAD', '1h', candle(0, { close: NaN })), null, 'NaN close');
+  expect(candleValidator.sanitize('BAD', '1h', candle(0, { low: 0 })), null, 'zero low');
+  expect(candleValidator.sanitize('BAD', '1h', candle(0, { volume: -1 })), null, 'negative volume');
+  expect(candleValidator.sanitize('BAD', '1h', candle(0, { closeTime: START - 1 })), null, 'close before open');
+  expect(candleValidator.sanitize('BAD', '1h', null), null, 'missing candle');
+  expect(countsFor('BAD').malformed, 5, 'malformed count');
+});
+
+test('misaligned open time is rejected for closed candles only', () => {
+  expect(candleValidator.sanitize('ALIGN', '1h', candle(0, { openTime: START + 1000 })), null, 'closed');
+  const forming = candle(0, { openTime: START + 1000, isClosed: false, closeTime: undefined });
+  expect(candleValidator.sanitize('ALIGN', '1h', forming), forming, 'forming');
+  expect(countsFor('ALIGN').misaligned, 1, 'misaligned count');
+});
+
+test('weekly candles are not checked for epoch alignment', () => {
+  const weekly = candle(0, { openTime: START + 3 * HOUR, closeTime: START + 3 * HOUR + 7 * 24 * HOUR - 1 });
+  expect(candleValidator.sanitize('WEEK', '1w', weekly), weekly, 'weekly');
+});
+
+test('high/low not enclosing open/close are repaired on a copy', () => {
+  const broken = candle(0, { open: 103, high: 102, low: 99, close: 98 });
+  const repaired = candleValidator.sanitize('RANGE', '1h', broken);
+  expect(repaired.high, 103, 'high');
+  expect(repaired.low, 98, 'low');
+  expect(broken.high, 102, 'original untouched');
+  expect(countsFor('RANGE').repaired_range, 1, 'repaired count');
+});
+
+test('zero-range closed candles are kept and counted', () => {
+  const flat = candle(0, { open: 100, high: 100, low: 100, close: 100 });
+  expect(candleValidator.sanitize('FLAT', '1h', flat), flat, 'kept');
+  expect(countsFor('FLAT').zero_range, 1, 'zero range count');
+});
+
+test('sanitizeSeries sorts, drops rejects and keeps the last duplicate', () => {
+  const series = candleValidator.sanitizeSeries('SERIES', '1h', [
+    candle(0),
+    candle(2),
+    candle(1),
+    candle(2, { close: 101.5 }),
+    candle(3, { close: NaN })
+  ]);
+  expect(series.map((c) => (c.openTime - START) / HOUR).join(','), '0,1,2', 'open times');
+  expect(series[2].close, 101.5, 'last duplicate wins');
+  const counts = countsFor('SERIES');
+  expect(counts.duplicate, 1, 'duplicate count');
+  expect(counts.out_of_order, 1, 'out of order count');
+  expect(counts.malformed, 1, 'malformed count');
+});
+
+test('cache appends, replaces the last candle and rejects invalid ones', () => {
+  klinesCache.init('CACHE', '1h', [candle(0), candle(1)]);
+  expect(klinesCache.updateCandle('CACHE', '1h', candle(2)), 'appended', 'newer');
+  expect(klinesCache.updateCandle('CACHE', '1h', candle(2, { close: 101.2 })), 'replaced', 'same open time');
+  expect(klinesCache.updateCandle('CACHE', '1h', candle(3, { high: NaN })), 'rejected', 'malformed');
+  expect(openTimes('CACHE'), '0,1,2', 'series');
+  expect(klinesCache.updateCandle('UNKNOWN', '1h', candle(0)), null, 'not initialized');
+});
+
+test('cache inserts older candles in order and replaces older duplicates', () => {
+  klinesCache.init('ORDER', '1h', [candle(0), candle(2), candle(3)]);
+  expect(klinesCache.updateCandle('ORDER', '1h', candle(1)), 'inserted', 'gap filled');
+  expect(klinesCache.updateCandle('ORDER', '1h', candle(2, { close: 100.5 })), 'duplicate', 'older duplicate');
+  expect(openTimes('ORDER'), '0,1,2,3', 'series');
+  expect(klinesCache.get('ORDER', '1h')[2].close, 100.5, 'duplicate replaced');
+});
+
+test('cache rejects candles older than its first candle', () => {
+  klinesCache.init('EARLY', '1h', [candle(5), candle(6)]);
+  expect(klinesCache.updateCandle('EARLY', '1h', candle(2)), 'rejected', 'before history');
+  expect(openTimes('EARLY'), '5,6', 'series');
+});
+
+test('cache trims to maxCandles after an insert too', () => {
+  const maxCandles = klinesCache.maxCandles;
+  klinesCache.maxCandles = 3;
+  try {
+    klinesCache.init('TRIM', '1h', [candle(0), candle(2), candle(3)]);
+    expect(klinesCache.updateCandle('TRIM', '1h', candle(1)), 'inserted', 'insert');
+    expect(openTimes('TRIM'), '1,2,3', 'after insert');
+    expect(klinesCache.updateCandle('TRIM', '1h', candle(4)), 'appended', 'append');
+    expect(openTimes('TRIM'), '2,3,4', 'after append');
+  } finally {
+    klinesCache.maxCandles = maxCandles;
+  }
+});
+
+test('inserting an older candle keeps the forming candle', () => {
+  klinesCache.init('FORM', '1h', [candle(0), candle(2)]);
+  klinesCache.updateFormingCandle('FORM', '1h', candle(3, { isClosed: false }));
+  klinesCache.updateCandle('FORM', '1h', candle(1));
+  if (!klinesCache.getFormingCandle('FORM', '1h')) throw new Error('forming candle cleared by insert');
+  klinesCache.updateCandle('FORM', '1h', candle(3));
+  expect(klinesCache.getFormingCandle('FORM', '1h'), null, 'cleared on close');
+});
+
+// Summary
+console.log();
+console.log('='.repeat(60));
+console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+console.log('='.repeat(60));
+
+if (passedTests === totalTests) {
+  console.log('✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Telegram Command Tests
+ * Checks command parsing, the admin allowlist and runtime controls without Telegram
+ */
+
+process.env.TELEGRAM_ADMIN_IDS = '111, 222';
+
+const { COMMANDS, parseCommand, isAdmin, isAuthorized } = require('./src/notify/commands');
+const RuntimeControls = require('./src/app/controls');
+
+console.log('='.repeat(60));
+console.log('PA-Bot Telegram Commands - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+function message(fromId, chatId) {
+  return { from: { id: fromId }, chat: { id: chatId }, text: '' };
+}
+
+/**
+ * Controls over a bare engine config with an in-memory settings store
+ */
+function createControls(config) {
+  const stored = new Map();
+  const settings = {
+    getSetting: (key, defaultValue = null) => (stored.has(key) ? stored.get(key) : defaultValue),
+    setSetting: (key, value) => stored.set(key, value),
+    deleteSetting: (key) => stored.delete(key)
+  };
+  const engine = { config: { ...config } };
+  const controls = new RuntimeControls(engine, { settings, clearCooldowns: () => 0 });
+  return { engine, controls, stored, settings };
+}
+
+test('parseCommand splits command and args', () => {
+  expect(parseCommand('/signals btcusdt'), { command: 'signals', args: ['btcusdt'] }, 'with arg');
+  expect(parseCommand('  /Status  '), { command: 'status', args: [] }, 'no args');
+  expect(parseCommand('/mute  ETHUSDT   4h'), { command: 'mute', args: ['ETHUSDT', '4h'] }, 'extra spaces');
+});
+
+test('parseCommand strips the bot name', () => {
+  expect(parseCommand('/stats@PaBot'), { command: 'stats', args: [] }, 'bot name');
+  expect(parseCommand('/threshold@PaBot 75'), { command: 'threshold', args: ['75'] }, 'bot name with arg');
+});
+
+test('parseCommand ignores non-commands', () => {
+  expect(parseCommand('hello /status'), null, 'text');
+  expect(parseCommand(''), null, 'empty');
+  expect(parseCommand(undefined), null, 'undefined');
+});
+
+test('isAdmin matches TELEGRAM_ADMIN_IDS', () => {
+  expect(isAdmin(message(111, 1)), true, 'first id');
+  expect(isAdmin(message('222', 1)), true, 'second id as string');
+  expect(isAdmin(message(333, 1)), false, 'not listed');
+  expect(isAdmin({ chat: { id: 1 } }), false, 'no sender');
+});
+
+test('read-only commands need a configured chat or an admin', () => {
+  const allowedChats = new Set(['-100']);
+  expect(isAuthorized(COMMANDS.status, message(333, -100), allowedChats), true, 'configured chat');
+  expect(isAuthorized(COMMANDS.status, message(333, 555), allowedChats), false, 'other chat');
+  expect(isAuthorized(COMMANDS.status, message(111, 555), allowedChats), true, 'admin elsewhere');
+});
+
+test('admin commands need an admin, even in a configured chat', () => {
+  const allowedChats = new Set(['-100']);
+  expect(isAuthorized(COMMANDS.pause, message(333, -100), allowedChats), false, 'member in configured chat');
+  expect(isAuthorized(COMMANDS.pause, message(222, 555), allowedChats), true, 'admin in private chat');
+});
+
+test('/threshold sets, persists and resets the override', () => {
+  const { engine, controls, stored, settings } = createControls({ entryScoreThreshold: 70 });
+  const context = { controls };
+
+  COMMANDS.threshold.handler(['80'], context);
+  expect(engine.config.entryScoreThreshold, 80, 'after set');
+  expect(stored.get('engine.entryScoreThreshold'), 80, 'persisted');
+
+  // A restart loads the override over the configured value
+  const restarted = new RuntimeControls({ config: { entryScoreThreshold: 70 } }, { settings });
+  restarted.load();
+  expect(restarted.getState().entryScoreThreshold, 80, 'after restart');
+
+  COMMANDS.threshold.handler(['reset'], { controls: restarted });
+  expect(restarted.getState().entryScoreThreshold, 70, 'after reset');
+  expect(stored.has('engine.entryScoreThreshold'), false, 'override removed');
+});
+
+test('/threshold is capped at the maximum score', () => {
+  const { engine, controls } = createControls({ entryScoreThreshold: 70, rsiDivergenceBonus: 10 });
+  const reply = COMMANDS.threshold.handler(['111'], { controls });
+  expect(reply.startsWith('Cách dùng'), true, 'usage reply');
+  expect(reply.includes('0-110'), true, 'range in reply');
+  expect(engine.config.entryScoreThreshold, 70, 'unchanged');
+
+  COMMANDS.threshold.handler(['110'], { controls });
+  expect(engine.config.entryScoreThreshold, 110, 'maximum accepted');
+});
+
+test('/mute normalizes the timeframe and rejects non-entry ones', () => {
+  const { controls } = createControls({ mutes: [], entryTimeframes: ['1h', '15m'] });
+  const context = { controls };
+
+  COMMANDS.mute.handler(['btcusdt', '1H'], context);
+  expect(controls.getState().mutes, ['BTCUSDT:1h'], 'lowercased');
+
+  const unknown = COMMANDS.mute.handler(['BTCUSDT', '5m'], context);
+  expect(unknown.startsWith('❌'), true, 'error reply');
+
+  // 4h only feeds HTF bias: a mute on it would never apply
+  const htf = COMMANDS.mute.handler(['BTCUSDT', '4h'], context);
+  expect(htf.startsWith('❌'), true, 'HTF timeframe rejected');
+  expect(htf.includes('1h, 15m'), true, 'valid timeframes listed');
+  expect(controls.getState().mutes, ['BTCUSDT:1h'], 'not muted');
+
+  COMMANDS.unmute.handler(['BTCUSDT', '1H'], context);
+  expect(controls.getState().mutes, [], 'unmuted');
+});
+
+test('mute and unmute by symbol and timeframe', () => {
+  const { controls } = createControls({ mutes: [] });
+  expect(controls.mute('BTCUSDT'), true, 'mute symbol');
+  expect(controls.mute('BTCUSDT'), false, 'mute twice');
+  controls.mute('BTCUSDT', '4h');
+  controls.mute('ETHUSDT', '1h');
+  expect(controls.unmute('BTCUSDT'), 2, 'unmute symbol removes all its mutes');
+  expect(controls.getState().mutes, ['ETHUSDT:1h'], 'remaining');
+  expect(controls.unmute(), 1, 'unmute all');
+});
+
+test('/status replies in Vietnamese like the other commands', () => {
+  const { controls } = createControls({ entryScoreThreshold: 70, mutes: ['ETHUSDT'] });
+  const reply = COMMANDS.status.handler([], {
+    controls,
+    getStatus: () => ({
+      startedAt: Date.now() - 90 * 60000,
+      symbols: ['BTCUSDT'],
+      timeframes: ['4h', '1h'],
+      ws: { connected: true, streams: 2, connections: 1, degraded: [] },
+      anomalies: [{ symbol: 'BTCUSDT', timeframe: '1h', counts: { zero_range: 1 }, total: 1 }],
+      lastCandles: [{ symbol: 'BTCUSDT', timeframe: '1h', closeTime: null }]
+    })
+  });
+  for (const label of ['Trạng thái PA-Bot', 'Thời gian chạy: 1h30m', 'đã kết nối', 'Khung thời gian', 'Đang mute', 'Nến bất thường']) {
+    expect(reply.includes(label), true, label);
+  }
+  for (const label of ['Status', 'Uptime', 'connected', 'Timeframes', 'Muted', 'anomalies']) {
+    expect(reply.includes(label), false, label);
+  }
+});
+
+// Summary
+console.log();
+console.log('='.repeat(60));
+console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+console.log('='.repeat(60));
+
+if (passedTests === totalTests) {
+  console.log('✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Engine Close-Time Barrier Tests
+ * Checks that entry analysis waits for HTF candles closing at the same boundary, gives up
+ * after HTF_CLOSE_WAIT_MS of simulated time, and knows when monthly candles are due; and that
+ * candles replayed after a gap only see the market as of their own close
+ */
+
+const klinesCache = require('./src/binance/klinesCache');
+const SignalEngine = require('./src/app/engine');
+const { createSimulatedClock } = require('./src/app/clock');
+
+const HOUR = 60 * 60 * 1000;
+
+console.log('='.repeat(60));
+console.log('PA-Bot Engine Close-Time Barrier - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+function candle(openTime, closeTime, price = 100) {
+  return { openTime, closeTime, open: price, high: price + 1, low: price - 1, close: price + 0.5, volume: 1 };
+}
+
+/**
+ * Engine with a simulated clock and no side effects
+ */
+function createEngine(htfTimeframes, startTime) {
+  const clock = createSimulatedClock(startTime);
+  const engine = new SignalEngine({ entryTimeframes: ['1h'], htfTimeframes, htfCloseWaitMs: 5000 }, {
+    clock,
+    store: { isOnCooldown: () => false, addCooldown: () => {}, saveSignal: () => 1 },
+    notifier: { sendSignal: async () => true }
+  });
+  return { engine, clock };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+async function run() {
+  const dayStart = Date.UTC(2026, 9, 19);
+
+  await test('a 1h entry closing with a 4h candle waits for the 4h close', async () => {
+    const symbol = 'WAIT4H';
+    const entryClose = dayStart + 4 * HOUR - 1;
+    klinesCache.init(symbol, '4h', [candle(dayStart - 4 * HOUR, dayStart - 1)]);
+    const { engine } = createEngine(['4h'], entryClose + 1);
+
+    expect(engine.getPendingHTFCloses(symbol, entryClose), ['4h'], 'pending at 04:00');
+    expect(engine.getPendingHTFCloses(symbol, entryClose - HOUR), [], 'nothing due at 03:00');
+
+    let done = false;
+    engine.waitForHTFCloses(symbol, entryClose).then(() => { done = true; });
+    await flush();
+    expect(done, false, 'waiting');
+
+    const htf = candle(dayStart, entryClose);
+    klinesCache.updateCandle(symbol, '4h', htf);
+    await engine.onCandleClosed(symbol, '4h', htf);
+    await flush();
+    expect(done, true, 'released by the 4h close');
+    expect(engine.htfWaiters.has(symbol), false, 'waiter removed');
+  });
+
+  await test('the wait gives up after HTF_CLOSE_WAIT_MS of clock time', async () => {
+    const symbol = 'TIMEOUT4H';
+    const entryClose = dayStart + 4 * HOUR - 1;
+    klinesCache.init(symbol, '4h', [candle(dayStart - 4 * HOUR, dayStart - 1)]);
+    const { engine, clock } = createEngine(['4h'], entryClose + 1);
+
+    let done = false;
+    engine.waitForHTFCloses(symbol, entryClose).then(() => { done = true; });
+    clock.set(entryClose + 4000);
+    await flush();
+    expect(done, false, 'still waiting before the timeout');
+
+    clock.set(entryClose + 1 + 5000);
+    await flush();
+    expect(done, true, 'released by the timeout');
+    expect(engine.htfWaiters.has(symbol), false, 'waiter removed');
+  });
+
+  await test('monthly candles are due at the end of the calendar month', async () => {
+    const symbol = 'MONTHLY';
+    const { engine } = createEngine(['1M'], dayStart);
+    const endOf = (year, month) => Date.UTC(year, month + 1, 1) - 1;
+
+    // April is cached: May (31 days) closes on May 31, not 30 days later
+    klinesCache.init(symbol, '1M', [candle(Date.UTC(2026, 3, 1), endOf(2026, 3))]);
+    expect(engine.getPendingHTFCloses(symbol, endOf(2026, 3) + 30 * 24 * HOUR), [], 'May 30');
+    expect(engine.getPendingHTFCloses(symbol, endOf(2026, 4)), ['1M'], 'May 31');
+
+    // January is cached: February closes on Feb 28
+    klinesCache.init(symbol, '1M', [candle(Date.UTC(2026, 0, 1), endOf(2026, 0))]);
+    expect(engine.getPendingHTFCloses(symbol, endOf(2026, 1) - HOUR), [], 'Feb 28 22:00');
+    expect(engine.getPendingHTFCloses(symbol, endOf(2026, 1)), ['1M'], 'Feb 28 end');
+  });
+
+  await test('replayed candles use HTF candles closed by their own close', async () => {
+    const symbol = 'REPLAY4H';
+    const { engine } = createEngine(['4h'], dayStart);
+    // Swinging uptrend for 60 candles, then a swinging selloff
+    const swing = (i) => 10 * Math.sin((2 * Math.PI * i) / 16);
+    const prices = [];
+    for (let i = 0; i < 60; i++) prices.push(100 + i + swing(i));
+    for (let i = 60; i < 120; i++) prices.push(160 - 2 * (i - 60) + swing(i));
+    const series = prices.map((price, i) => {
+      const open = dayStart - (prices.length - i) * 4 * HOUR;
+      return candle(open, open + 4 * HOUR - 1, price);
+    });
+    const asOf = series[59].closeTime;
+
+    klinesCache.init(symbol, '4h', series.slice(0, 60));
+    const expected = await engine.getHTFBias(symbol);
+    klinesCache.init(symbol, '4h', series);
+    expect(await engine.getHTFBias(symbol, asOf), expected, 'bias as of the replayed close');
+    expect(expected.bias, 'bullish', 'bias before the selloff');
+    expect((await engine.getHTFBias(symbol)).bias, 'bearish', 'latest bias');
+
+    engine.config.gapPolicy = 'replay';
+    const calls = [];
+    engine.analyzeForEntry = async (...args) => { calls.push(args); };
+    await engine.onCandleClosed(symbol, '1h', candle(asOf - HOUR + 1, asOf), { backfilled: true });
+    expect(calls, [[symbol, '1h', false, { backfilled: true }, asOf]], 'analyzed as of its close');
+  });
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();
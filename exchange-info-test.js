@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Exchange Info Refresh Tests
+ * Runs the periodic exchangeInfo refresh against the local mock server: contracts that are
+ * no longer listed leave the watchlist, and a failed refresh alerts the admin chat while the
+ * trading rules from the last successful fetch stay cached
+ */
+
+const { startMockServer } = require('./scripts/mock-binance');
+
+const SYMBOLS = ['BTCUSDT', 'ETHUSDT'];
+
+console.log('='.repeat(60));
+console.log('PA-Bot Exchange Info Refresh - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Run fn and return what it logged
+ */
+async function captureLogs(fn) {
+  const lines = [];
+  const { log, warn, error } = console;
+  console.log = (...args) => lines.push(args.join(' '));
+  console.warn = console.log;
+  console.error = console.log;
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    console.error = error;
+  }
+  return lines.join('\n');
+}
+
+async function run() {
+  const mock = await startMockServer({ port: 0, symbols: SYMBOLS });
+
+  // The REST client and Telegram read their config when loaded
+  process.env.BINANCE_API_BASE = mock.restUrl;
+  process.env.REST_MAX_RETRIES = '0';
+  process.env.DRY_RUN = 'true';
+  process.env.TELEGRAM_CHAT_ID = '100';
+  const { getSymbolFilters, getSymbolStatuses } = require('./src/binance/exchangeInfo');
+  const { PABot } = require('./src/index');
+
+  // Watchlist changes are recorded instead of touching streams and caches
+  const bot = new PABot();
+  bot.symbols = [...SYMBOLS, 'OLDUSDT'];
+  const removed = [];
+  bot.removeSymbol = async (symbol) => {
+    removed.push(symbol);
+    bot.symbols = bot.symbols.filter((s) => s !== symbol);
+    return true;
+  };
+
+  await test('a contract missing from exchangeInfo is removed with an admin alert', async () => {
+    const logs = await captureLogs(() => bot.refreshExchangeInfo());
+    expect(removed, ['OLDUSDT'], 'removed');
+    expect(bot.symbols, SYMBOLS, 'watchlist');
+    expect(logs.includes('admin alert to 100:'), true, 'admin alert sent');
+    expect(logs.includes('OLDUSDT: TRADING → DELISTED'), true, 'status change reported');
+  });
+
+  const filters = getSymbolFilters('BTCUSDT');
+  const statuses = [...getSymbolStatuses()];
+
+  await test('a failed refresh alerts the admin chat and keeps the cached filters', async () => {
+    await mock.close();
+    const logs = await captureLogs(() => bot.refreshExchangeInfo());
+    expect(logs.includes('admin alert to 100: ⚠️ <b>Exchange info refresh failed</b>'), true, 'admin alert sent');
+    expect(getSymbolFilters('BTCUSDT'), filters, 'filters');
+    expect([...getSymbolStatuses()], statuses, 'statuses');
+    expect(bot.symbols, SYMBOLS, 'watchlist kept');
+    expect(removed, ['OLDUSDT'], 'nothing else removed');
+  });
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Kline History Tests
+ * Checks downloads into the candle store (in-memory SQLite) against the local mock server,
+ * whose clock is shifted away from the local one, and weekly/monthly candle open times
+ * (the mock opens weeks on Monday and months on the 1st, like Binance)
+ */
+
+const { startMockServer } = require('./scripts/mock-binance');
+
+const MINUTE = 60 * 1000;
+const SYMBOL = 'BTCUSDT';
+
+console.log('='.repeat(60));
+console.log('PA-Bot Kline History - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+async function run() {
+  // Server time 5 minutes behind the local clock
+  const serverClock = { now: () => Date.now() - 5 * MINUTE };
+  const mock = await startMockServer({ port: 0, symbols: [SYMBOL], clock: serverClock });
+
+  // The client reads its config when loaded
+  process.env.BINANCE_API_BASE = mock.restUrl;
+  const { initCandleStore, closeCandleStore, getMissingRanges } = require('./src/store/candles');
+  const { downloadKlines, loadRecentKlines } = require('./src/binance/history');
+  const { candleOpenTime } = require('./src/binance/intervals');
+
+  await test('downloadKlines decides closed candles by the caller\'s clock', async () => {
+    closeCandleStore();
+    initCandleStore(':memory:');
+
+    const now = serverClock.now();
+    const formingOpen = Math.floor(now / MINUTE) * MINUTE;
+    const candles = await downloadKlines(SYMBOL, '1m', formingOpen - 30 * MINUTE, now, now);
+
+    if (candles.length !== 30) throw new Error(`${candles.length} candles`);
+    if (candles[candles.length - 1].openTime !== formingOpen - MINUTE) throw new Error('forming candle stored');
+    // Coverage stops before the forming candle so it is downloaded again once closed
+    const missing = getMissingRanges(SYMBOL, '1m', formingOpen, formingOpen);
+    if (missing.length !== 1) throw new Error('forming candle marked as covered');
+  });
+
+  await test('loadRecentKlines returns the latest closed candles', async () => {
+    closeCandleStore();
+    initCandleStore(':memory:');
+
+    const now = serverClock.now();
+    const candles = await loadRecentKlines(SYMBOL, '1h', 10, now);
+    const formingOpen = candleOpenTime('1h', now);
+
+    if (candles.length !== 10) throw new Error(`${candles.length} candles`);
+    if (candles[9].openTime !== formingOpen - 60 * MINUTE) throw new Error('latest closed candle missing');
+  });
+
+  await test('weekly and monthly history follows Monday and calendar-month opens', async () => {
+    closeCandleStore();
+    initCandleStore(':memory:');
+
+    const now = serverClock.now();
+    for (const interval of ['1w', '1M']) {
+      const candles = await loadRecentKlines(SYMBOL, interval, 4, now);
+      if (candles.length !== 4) throw new Error(`${interval}: ${candles.length} candles`);
+      if (candles[3].openTime !== candleOpenTime(interval, now, 1)) throw new Error(`${interval}: latest closed candle missing`);
+      for (let i = 0; i < candles.length; i++) {
+        const open = new Date(candles[i].openTime);
+        const anchored = interval === '1w' ? open.getUTCDay() === 1 : open.getUTCDate() === 1;
+        if (!anchored || open.getUTCHours() !== 0) throw new Error(`${interval}: opens ${open.toISOString()}`);
+        if (i > 0 && candles[i].openTime !== candles[i - 1].closeTime + 1) throw new Error(`${interval}: not continuous`);
+      }
+    }
+  });
+
+  await test('candleOpenTime anchors weeks on Monday and months on the 1st', async () => {
+    const sunday = Date.UTC(2026, 9, 18, 15); // Sunday 2026-10-18 15:00 UTC
+    const checks = [
+      ['4h', 0, Date.UTC(2026, 9, 18, 12)],
+      ['1d', 1, Date.UTC(2026, 9, 17)],
+      ['1w', 0, Date.UTC(2026, 9, 12)],
+      ['1w', 2, Date.UTC(2026, 8, 28)],
+      ['1M', 0, Date.UTC(2026, 9, 1)],
+      ['1M', 10, Date.UTC(2025, 11, 1)]
+    ];
+    for (const [interval, candlesBack, expected] of checks) {
+      const actual = candleOpenTime(interval, sunday, candlesBack);
+      if (actual !== expected) {
+        throw new Error(`${interval} back ${candlesBack}: ${new Date(actual).toISOString()}`);
+      }
+    }
+    if (candleOpenTime('1w', Date.UTC(2026, 9, 19)) !== Date.UTC(2026, 9, 19)) throw new Error('Monday open');
+  });
+
+  closeCandleStore();
+  await mock.close();
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Migration Tests
+ * Checks fresh installs, upgrades of pre-versioning databases and version guards (in-memory SQLite)
+ */
+
+const Database = require('better-sqlite3');
+const { MIGRATIONS, getSchemaVersion, runMigrations } = require('./src/store/migrations');
+
+console.log('='.repeat(60));
+console.log('PA-Bot Schema Migrations - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function columns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+}
+
+function tables(db) {
+  return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map((t) => t.name);
+}
+
+function expectIncludes(list, items, label) {
+  const missing = items.filter((item) => !list.includes(item));
+  if (missing.length > 0) {
+    throw new Error(`${label}: missing ${missing.join(', ')}`);
+  }
+}
+
+test('fresh database migrates to the latest version', () => {
+  const db = new Database(':memory:');
+  const version = runMigrations(db);
+  if (version !== MIGRATIONS.length) throw new Error(`returned ${version}`);
+  if (getSchemaVersion(db) !== MIGRATIONS.length) throw new Error('user_version not updated');
+  expectIncludes(tables(db), ['signals', 'cooldowns', 'signal_outcomes', 'signal_messages', 'candidates', 'settings'], 'tables');
+  expectIncludes(columns(db, 'signals'), ['context'], 'signals columns');
+  db.close();
+});
+
+test('running again is a no-op', () => {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  runMigrations(db);
+  if (getSchemaVersion(db) !== MIGRATIONS.length) throw new Error('version changed');
+  db.close();
+});
+
+test('pre-versioning database is adopted and keeps its rows', () => {
+  const db = new Database(':memory:');
+  // Schema as created before migrations existed, with an outcomes table lacking R columns
+  db.exec(`
+    CREATE TABLE signals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL, timeframe TEXT NOT NULL, side TEXT NOT NULL,
+      setup_type TEXT NOT NULL, setup_name TEXT, score INTEGER NOT NULL,
+      entry REAL NOT NULL, stop_loss REAL NOT NULL,
+      take_profit1 REAL NOT NULL, take_profit2 REAL NOT NULL,
+      risk_reward REAL, zone_key TEXT, timestamp INTEGER NOT NULL,
+      sent_at INTEGER NOT NULL, message TEXT
+    );
+    CREATE TABLE cooldowns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      cooldown_key TEXT UNIQUE NOT NULL, symbol TEXT NOT NULL, timeframe TEXT NOT NULL,
+      side TEXT NOT NULL, zone_key TEXT, expires_at INTEGER NOT NULL, created_at INTEGER NOT NULL
+    );
+    CREATE TABLE signal_outcomes (
+      signal_id INTEGER PRIMARY KEY REFERENCES signals(id),
+      status TEXT NOT NULL, current_stop REAL NOT NULL,
+      created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL
+    );
+  `);
+  db.prepare(`
+    INSERT INTO signals (symbol, timeframe, side, setup_type, score, entry, stop_loss,
+      take_profit1, take_profit2, timestamp, sent_at)
+    VALUES ('BTCUSDT', '1h', 'LONG', 'breakout', 80, 100, 98, 102, 104, 1, 1)
+  `).run();
+
+  runMigrations(db);
+
+  if (getSchemaVersion(db) !== MIGRATIONS.length) throw new Error('not at latest version');
+  expectIncludes(columns(db, 'signal_outcomes'), ['realized_r', 'mfe_r', 'mae_r'], 'outcome columns');
+  expectIncludes(columns(db, 'signals'), ['context'], 'signals columns');
+  const count = db.prepare('SELECT COUNT(*) AS n FROM signals').get().n;
+  if (count !== 1) throw new Error(`expected 1 signal, found ${count}`);
+  db.close();
+});
+
+test('database from a newer build is refused', () => {
+  const db = new Database(':memory:');
+  db.pragma(`user_version = ${MIGRATIONS.length + 1}`);
+  let error = null;
+  try {
+    runMigrations(db);
+  } catch (err) {
+    error = err;
+  }
+  if (!error || !error.message.includes('newer than this build')) throw new Error('newer schema accepted');
+  db.close();
+});
+
+test('failed migration rolls back and keeps the previous version', () => {
+  const db = new Database(':memory:');
+  runMigrations(db);
+
+  MIGRATIONS.push({
+    name: 'broken',
+    up(database) {
+      database.exec('CREATE TABLE half_done (id INTEGER)');
+      throw new Error('boom');
+    }
+  });
+
+  let error = null;
+  try {
+    runMigrations(db);
+  } catch (err) {
+    error = err;
+  } finally {
+    MIGRATIONS.pop();
+  }
+
+  if (!error || !error.message.includes('(broken) failed')) throw new Error('failure not reported');
+  if (getSchemaVersion(db) !== MIGRATIONS.length) throw new Error('version bumped despite failure');
+  if (tables(db).includes('half_done')) throw new Error('partial migration not rolled back');
+  db.close();
+});
+
+// Summary
+console.log();
+console.log('='.repeat(60));
+console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+console.log('='.repeat(60));
+
+if (passedTests === totalTests) {
+  console.log('✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+  process.exit(1);
+}
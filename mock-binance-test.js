@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Binance Reconnect Tests
+ * Drops the WebSocket on the local mock server and checks that BinanceWebSocket reconnects
+ * and backfills the candles it missed over REST, and that a stream subscribed while the
+ * socket connects still gets data
+ *
+ * The mock and the client share a shifted clock, so 1m candle closes come within seconds
+ */
+
+const { startMockServer } = require('./scripts/mock-binance');
+
+const MINUTE = 60 * 1000;
+const SYMBOL = 'BTCUSDT';
+const LATE_SYMBOL = 'ETHUSDT';
+const TEST_TIMEOUT_MS = 30000;
+
+console.log('='.repeat(60));
+console.log('PA-Bot Mock Binance Reconnect - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Poll until check() is true
+ */
+async function waitFor(check, timeoutMs, label) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`timed out waiting for ${label}`);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Shift the shared clock so it reads `target` now
+ */
+function jumpTo(clock, target) {
+  clock.offset += target - clock.now();
+}
+
+async function run() {
+  const clock = {
+    offset: 0,
+    now() {
+      return Date.now() + this.offset;
+    }
+  };
+  // Start just before a minute boundary
+  const boundary = Math.ceil(Date.now() / MINUTE) * MINUTE;
+  jumpTo(clock, boundary - 1500);
+
+  const mock = await startMockServer({ port: 0, symbols: [SYMBOL, LATE_SYMBOL], tickMs: 100, clock });
+
+  // The client and WebSocket read their config when loaded; keep the watchdog out of the way
+  process.env.BINANCE_API_BASE = mock.restUrl;
+  process.env.BINANCE_WS_BASE = mock.wsUrl;
+  process.env.WS_CLOSE_RECOVERY_SEC = '600';
+  process.env.WS_CLOSE_GRACE_SEC = '600';
+  const { fetchKlines } = require('./src/binance/rest');
+  const klinesCache = require('./src/binance/klinesCache');
+  const binanceWS = require('./src/binance/ws');
+
+  for (const symbol of [SYMBOL, LATE_SYMBOL]) {
+    const history = (await fetchKlines(symbol, '1m', 50)).filter((c) => c.closeTime < clock.now());
+    klinesCache.init(symbol, '1m', history);
+  }
+
+  const closed = [];
+  const lateUpdates = [];
+  binanceWS.setClock(clock);
+  binanceWS.connect([SYMBOL], ['1m'], (symbol, timeframe, candle, meta) => {
+    if (symbol === SYMBOL) closed.push({ openTime: candle.openTime, backfilled: Boolean(meta.backfilled) });
+  }, (symbol) => {
+    if (symbol === LATE_SYMBOL) lateUpdates.push(symbol);
+  });
+  // The socket is still connecting, so this stream is not in its URL
+  binanceWS.subscribe(LATE_SYMBOL, ['1m']);
+
+  await test('live candle close arrives over the WebSocket', async () => {
+    await waitFor(() => closed.length >= 1, 10000, 'first close');
+    if (closed[0].openTime !== boundary - MINUTE) throw new Error(`closed candle @ ${closed[0].openTime}`);
+    if (closed[0].backfilled) throw new Error('live close marked backfilled');
+  });
+
+  await test('stream subscribed during the handshake receives data', async () => {
+    await waitFor(() => lateUpdates.length > 0, 5000, `${LATE_SYMBOL} updates`);
+  });
+
+  await test('disconnect drops the connection', async () => {
+    await fetch(`${mock.restUrl}/mock/disconnect`, { method: 'POST' });
+    // Two closes pass while the client is away
+    jumpTo(clock, boundary + 3 * MINUTE - 2500);
+    await waitFor(() => !binanceWS.isConnected, 5000, 'disconnect');
+  });
+
+  await test('client reconnects', async () => {
+    await waitFor(() => binanceWS.isConnected, 10000, 'reconnect');
+  });
+
+  await test('missed closes are backfilled before the next live close', async () => {
+    await waitFor(() => closed.length >= 4, 10000, 'live close after reconnect');
+    const expected = [
+      { openTime: boundary - MINUTE, backfilled: false },
+      { openTime: boundary, backfilled: true },
+      { openTime: boundary + MINUTE, backfilled: true },
+      { openTime: boundary + 2 * MINUTE, backfilled: false }
+    ];
+    if (JSON.stringify(closed) !== JSON.stringify(expected)) {
+      throw new Error(`closes ${JSON.stringify(closed.map((c) => [(c.openTime - boundary) / MINUTE, c.backfilled]))}`);
+    }
+  });
+
+  await test('cache is continuous after the gap', async () => {
+    const candles = klinesCache.get(SYMBOL, '1m');
+    for (let i = 1; i < candles.length; i++) {
+      if (candles[i].openTime - candles[i - 1].openTime !== MINUTE) {
+        throw new Error(`gap after ${candles[i - 1].openTime}`);
+      }
+    }
+    if (candles[candles.length - 1].openTime !== boundary + 2 * MINUTE) throw new Error('latest close not cached');
+  });
+
+  await test('gap check follows calendar months and Monday weeks', async () => {
+    const candle = (openTime, closeTime) => ({
+      openTime, closeTime, open: 1, high: 2, low: 1, close: 2, volume: 1
+    });
+    const jan = Date.UTC(2026, 0, 1);
+    const feb = Date.UTC(2026, 1, 1);
+    const mar = Date.UTC(2026, 2, 1);
+    klinesCache.init('SOLUSDT', '1M', [candle(jan, feb - 1)]);
+    if (binanceWS.hasGap('SOLUSDT', '1M', candle(feb, mar - 1))) throw new Error('Jan → Feb flagged as gap');
+    if (!binanceWS.hasGap('SOLUSDT', '1M', candle(mar, Date.UTC(2026, 3, 1) - 1))) throw new Error('Jan → Mar not a gap');
+
+    const monday = Date.UTC(2026, 9, 12);
+    const week = 7 * 24 * 60 * MINUTE;
+    klinesCache.init('SOLUSDT', '1w', [candle(monday, monday + week - 1)]);
+    if (binanceWS.hasGap('SOLUSDT', '1w', candle(monday + week, monday + 2 * week - 1))) throw new Error('next week flagged as gap');
+    if (!binanceWS.hasGap('SOLUSDT', '1w', candle(monday + 2 * week, monday + 3 * week - 1))) throw new Error('skipped week not a gap');
+  });
+
+  binanceWS.close();
+  await mock.close();
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Never hang on a connection that doesn't come back
+setTimeout(() => {
+  console.log(`✗ Tests did not finish within ${TEST_TIMEOUT_MS / 1000}s`);
+  process.exit(1);
+}, TEST_TIMEOUT_MS).unref();
+
+run();
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Price Precision Tests
+ * Checks tick-size rounding and price formatting
+ */
+
+const { decimalsOf, roundToTick } = require('./src/binance/precision');
+const { formatPrice } = require('./src/notify/format');
+
+console.log('='.repeat(60));
+console.log('PA-Bot Price Precision - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+function test(name, fn) {
+  totalTests++;
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+test('decimalsOf counts meaningful decimals of a step', () => {
+  expect(decimalsOf('0.0100'), 2, "'0.0100'");
+  expect(decimalsOf('0.00001000'), 5, "'0.00001000'");
+  expect(decimalsOf('1'), 0, "'1'");
+  expect(decimalsOf('10.00'), 0, "'10.00'");
+  expect(decimalsOf(0.5), 1, '0.5');
+  expect(decimalsOf(0.0001), 4, '0.0001');
+});
+
+test('roundToTick rounds to the nearest tick by default', () => {
+  expect(roundToTick(43251.37, '0.10'), 43251.4, 'BTC-like tick');
+  expect(roundToTick(43251.34, '0.10'), 43251.3, 'BTC-like tick down');
+  expect(roundToTick(0.123456, '0.0001'), 0.1235, 'small tick');
+  expect(roundToTick(101.3, '0.5'), 101.5, 'half tick');
+  expect(roundToTick(1234, '10'), 1230, 'tick above 1');
+});
+
+test('roundToTick down/up modes', () => {
+  expect(roundToTick(43251.37, '0.10', 'down'), 43251.3, 'down');
+  expect(roundToTick(43251.31, '0.10', 'up'), 43251.4, 'up');
+  expect(roundToTick(101.3, '0.5', 'down'), 101, 'half tick down');
+  expect(roundToTick(101.3, '0.5', 'up'), 101.5, 'half tick up');
+});
+
+test('roundToTick leaves prices already on a tick in place', () => {
+  // 0.1 + 0.2 = 0.30000000000000004 and 0.7 / 0.1 = 6.999999999999999
+  expect(roundToTick(0.1 + 0.2, '0.1', 'up'), 0.3, 'float error above');
+  expect(roundToTick(0.7, '0.1', 'down'), 0.7, 'float error below');
+  expect(roundToTick(43251.3, '0.10', 'up'), 43251.3, 'exact up');
+  expect(roundToTick(43251.3, '0.10', 'down'), 43251.3, 'exact down');
+});
+
+test('roundToTick returns clean decimals', () => {
+  expect(roundToTick(0.00012345, '0.00000100'), 0.000123, 'tiny tick');
+  expect(String(roundToTick(1.15, '0.01', 'up')), '1.15', 'no float tail');
+});
+
+test('roundToTick passes through without a usable tick or price', () => {
+  expect(roundToTick(123.456, null), 123.456, 'null tick');
+  expect(roundToTick(123.456, '0'), 123.456, 'zero tick');
+  expect(Number.isNaN(roundToTick(NaN, '0.1')), true, 'NaN price');
+});
+
+test('formatPrice uses tick decimals or trims trailing zeros', () => {
+  expect(formatPrice(43251.3, 2), '43251.30', 'tick decimals');
+  expect(formatPrice(0.1235, 4), '0.1235', 'small tick decimals');
+  expect(formatPrice(43251.300000001), '43251.3', 'float tail trimmed');
+  expect(formatPrice(0.00001234), '0.00001234', 'small price kept');
+  expect(formatPrice(NaN), '--', 'NaN');
+  expect(formatPrice(undefined), '--', 'undefined');
+});
+
+// Summary
+console.log();
+console.log('='.repeat(60));
+console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+console.log('='.repeat(60));
+
+if (passedTests === totalTests) {
+  console.log('✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Recording and Replay Tests
+ * Records the local mock server's kline streams, then plays the recording back: the same
+ * candle closes arrive in the same order, the cache ends up the same, and replaying twice
+ * gives the same result
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockServer } = require('./scripts/mock-binance');
+
+const MINUTE = 60 * 1000;
+const SYMBOLS = ['BTCUSDT', 'ETHUSDT'];
+const TEST_TIMEOUT_MS = 30000;
+
+console.log('='.repeat(60));
+console.log('PA-Bot Recording and Replay - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Poll until check() is true
+ */
+async function waitFor(check, timeoutMs, label) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`timed out waiting for ${label}`);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Shift the shared clock so it reads `target` now
+ */
+function jumpTo(clock, target) {
+  clock.offset += target - clock.now();
+}
+
+async function run() {
+  const clock = {
+    offset: 0,
+    now() {
+      return Date.now() + this.offset;
+    }
+  };
+  // Start just before a minute boundary
+  const boundary = Math.ceil(Date.now() / MINUTE) * MINUTE;
+  jumpTo(clock, boundary - 1500);
+
+  const mock = await startMockServer({ port: 0, symbols: SYMBOLS, tickMs: 100, clock });
+
+  // The client and WebSocket read their config when loaded
+  process.env.BINANCE_API_BASE = mock.restUrl;
+  process.env.BINANCE_WS_BASE = mock.wsUrl;
+  const { fetchKlines } = require('./src/binance/rest');
+  const klinesCache = require('./src/binance/klinesCache');
+  const binanceWS = require('./src/binance/ws');
+  const { MarketDataRecorder, readRecording } = require('./src/binance/recorder');
+  const ReplaySource = require('./src/binance/replay');
+  const { createSimulatedClock } = require('./src/app/clock');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pa-bot-replay-'));
+  const file = path.join(dir, 'ws-test.ndjson.gz');
+
+  for (const symbol of SYMBOLS) {
+    const history = (await fetchKlines(symbol, '1m', 50)).filter((c) => c.closeTime < clock.now());
+    klinesCache.init(symbol, '1m', history);
+  }
+
+  const describe = (symbol, candle) => ({ symbol, openTime: candle.openTime, close: candle.close, volume: candle.volume });
+  const cacheState = () => SYMBOLS.map((symbol) => klinesCache.get(symbol, '1m').map((c) => describe(symbol, c)));
+
+  const recorder = new MarketDataRecorder(file);
+  const live = [];
+  binanceWS.setClock(clock);
+  binanceWS.setRecorder(recorder);
+  binanceWS.connect(SYMBOLS, ['1m'], (symbol, timeframe, candle) => {
+    live.push(describe(symbol, candle));
+  });
+  binanceWS.stopWatchdog();
+
+  let liveCache = null;
+
+  await test('two live closes per symbol are recorded', async () => {
+    await waitFor(() => live.length >= SYMBOLS.length, 10000, 'first closes');
+    jumpTo(clock, boundary + MINUTE - 1500);
+    await waitFor(() => live.length >= 2 * SYMBOLS.length, 10000, 'second closes');
+
+    binanceWS.close();
+    binanceWS.setRecorder(null);
+    await recorder.close();
+    liveCache = cacheState();
+
+    const entries = [];
+    for await (const entry of readRecording(file)) entries.push(entry);
+    expect(entries.filter((e) => e.snapshot).map((e) => e.snapshot.symbol), SYMBOLS, 'snapshots');
+    if (!entries.some((e) => e.message)) throw new Error('no messages recorded');
+  });
+
+  /**
+   * Play the recording at full speed and collect its closes
+   */
+  async function replayOnce() {
+    const closes = [];
+    const replayClock = createSimulatedClock(0);
+    const times = [];
+    await binanceWS.replay(new ReplaySource(file, { speed: 0, clock: replayClock }), (symbol, timeframe, candle) => {
+      closes.push(describe(symbol, candle));
+      times.push(replayClock.now());
+    });
+    return { closes, times };
+  }
+
+  let first = null;
+
+  await test('the replay delivers the recorded closes in order', async () => {
+    first = await replayOnce();
+    expect(first.closes, live, 'closes');
+    expect(cacheState(), liveCache, 'cache after replay');
+  });
+
+  await test('the simulated clock reads the recorded receive time of each close', async () => {
+    const received = [];
+    for await (const entry of readRecording(file)) {
+      if (entry.message && entry.message.data.k.x) received.push(entry.t);
+    }
+    expect(first.times, received, 'clock times');
+  });
+
+  await test('replaying twice gives the same closes', async () => {
+    const second = await replayOnce();
+    expect(second.closes, first.closes, 'closes');
+    expect(second.times, first.times, 'clock times');
+  });
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  await mock.close();
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Never hang on a connection that doesn't come back
+setTimeout(() => {
+  console.log(`✗ Tests did not finish within ${TEST_TIMEOUT_MS / 1000}s`);
+  process.exit(1);
+}, TEST_TIMEOUT_MS).unref();
+
+run();
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * REST Client Tests
+ * Checks the weight limiter, 429 pause, retries, request timeout and direct requests against a local HTTP server
+ */
+
+const http = require('http');
+
+const TIMEOUT_MS = 300;
+
+console.log('='.repeat(60));
+console.log('PA-Bot REST Client - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Local server whose behaviour per path is set by the test: routes[path](req, res, hit)
+ */
+function startServer(routes) {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    hits[path] = (hits[path] || 0) + 1;
+    const route = routes[path];
+    if (!route) {
+      res.writeHead(404);
+      res.end('{}');
+      return;
+    }
+    route(req, res, hits[path]);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, hits, port: server.address().port }));
+  });
+}
+
+function json(res, body, headers = {}) {
+  res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function expectRejects(promise, pattern, label) {
+  try {
+    await promise;
+  } catch (err) {
+    if (!pattern.test(err.message)) throw new Error(`${label}: unexpected error "${err.message}"`);
+    return;
+  }
+  throw new Error(`${label}: did not reject`);
+}
+
+async function run() {
+  const trickles = [];
+  const { server, hits, port } = await startServer({
+    '/ok': (req, res) => json(res, { ok: true }, { 'X-MBX-USED-WEIGHT-1M': '12' }),
+    '/full': (req, res) => json(res, { ok: true }, { 'X-MBX-USED-WEIGHT-1M': '59' }),
+    '/limited': (req, res, hit) => {
+      if (hit === 1) {
+        res.writeHead(429, { 'Retry-After': '1' });
+        res.end('{"code":-1003}');
+        return;
+      }
+      json(res, { ok: true });
+    },
+    '/error': (req, res) => {
+      res.writeHead(500);
+      res.end('{}');
+    },
+    '/bad': (req, res) => {
+      res.writeHead(400);
+      res.end('{"code":-1121,"msg":"Invalid symbol."}');
+    },
+    '/trickle': (req, res) => {
+      // Keeps the socket busy (never idle for TIMEOUT_MS) but never finishes
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write('[');
+      const timer = setInterval(() => res.write(' '), TIMEOUT_MS / 3);
+      trickles.push(timer);
+      res.on('close', () => clearInterval(timer));
+    }
+  });
+
+  // The client reads its config when loaded
+  process.env.BINANCE_API_BASE = `http://127.0.0.1:${port}`;
+  process.env.BINANCE_WEIGHT_LIMIT = '60';
+  process.env.REST_TIMEOUT_MS = String(TIMEOUT_MS);
+  process.env.REST_MAX_RETRIES = '1';
+  const { request, getUsedWeight, BinanceHttpError } = require('./src/binance/client');
+
+  await test('request returns parsed JSON and syncs used weight', async () => {
+    const body = await request('/ok');
+    if (!body.ok) throw new Error('unexpected body');
+    if (getUsedWeight() !== 12) throw new Error(`used weight ${getUsedWeight()}`);
+  });
+
+  await test('request waits for weight once the server reports the limit nearly used', async () => {
+    await request('/full');
+    // 60/min refills one unit per second; only 1 unit is left, so weight 2 waits about a second
+    const started = Date.now();
+    await request('/ok', {}, { weight: 2 });
+    const elapsed = Date.now() - started;
+    if (elapsed < 800) throw new Error(`did not wait (${elapsed}ms)`);
+  });
+
+  await test('HTTP 429 pauses requests for Retry-After, then retries', async () => {
+    const started = Date.now();
+    const body = await request('/limited');
+    const elapsed = Date.now() - started;
+    if (!body.ok) throw new Error('unexpected body');
+    if (hits['/limited'] !== 2) throw new Error(`${hits['/limited']} attempts`);
+    if (elapsed < 1000) throw new Error(`retried after ${elapsed}ms`);
+  });
+
+  await test('client errors are not retried', async () => {
+    let error = null;
+    try {
+      await request('/bad');
+    } catch (err) {
+      error = err;
+    }
+    if (!(error instanceof BinanceHttpError) || error.status !== 400) throw new Error('expected HTTP 400 error');
+    if (hits['/bad'] !== 1) throw new Error(`${hits['/bad']} attempts`);
+  });
+
+  await test('slowly trickled response times out after REST_TIMEOUT_MS', async () => {
+    const started = Date.now();
+    await expectRejects(request('/trickle'), /timed out/, 'trickle');
+    const elapsed = Date.now() - started;
+    if (hits['/trickle'] !== 2) throw new Error(`${hits['/trickle']} attempts`);
+    // Two attempts of TIMEOUT_MS plus at most one backoff
+    if (elapsed > 2 * TIMEOUT_MS + 4000) throw new Error(`took ${elapsed}ms`);
+  });
+
+  await test('direct requests skip the weight wait and retries', async () => {
+    await request('/full');
+    const started = Date.now();
+    await request('/ok', {}, { weight: 2, direct: true });
+    const elapsed = Date.now() - started;
+    if (elapsed > 500) throw new Error(`waited ${elapsed}ms`);
+
+    await expectRejects(request('/error', {}, { direct: true }), /HTTP 500/, 'direct 500');
+    if (hits['/error'] !== 1) throw new Error(`${hits['/error']} attempts`);
+  });
+
+  trickles.forEach(clearInterval);
+  server.close();
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();
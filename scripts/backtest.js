@@ -22,12 +22,22 @@
  */
 
 require('dotenv').config();
-const { fetchKlines } = require('../src/binance/rest');
+const { downloadKlines } = require('../src/binance/history');
+const { initCandleStore, closeCandleStore } = require('../src/store/candles');
+const { intervalToMs } = require('../src/binance/intervals');
 const klinesCache = require('../src/binance/klinesCache');
 const SignalEngine = require('../src/app/engine');
+const { createSimulatedClock } = require('../src/app/clock');
+const { initDatabase, closeDatabase } = require('../src/store/db');
+const cooldownStore = require('../src/store/cooldown');
+const signalStore = require('../src/store/signals');
+const candidateStore = require('../src/store/candidates');
 const { validateSymbols } = require('../src/binance/exchangeInfo');
 const fs = require('fs');
 
+// HTF candles loaded before the backtest start so bias is available from the first entry candle
+const HTF_WARMUP_CANDLES = 100;
+
 /**
  * Parse command line arguments
  */
@@ -122,25 +132,53 @@ function calculateDateRange(options) {
 
 /**
  * Fetch historical data for backtesting
+ * Pages through the full range and reuses candles already in the on-disk store
  */
 async function fetchHistoricalData(symbol, timeframe, startDate, endDate) {
   console.log(`[Backtest] Fetching ${symbol} ${timeframe} from ${startDate.toISOString()} to ${endDate.toISOString()}...`);
   
-  const startTime = startDate.getTime();
-  const endTime = endDate.getTime();
-  
-  // Fetch with limit (max 1500 candles per request)
-  const limit = 1500;
-  const klines = await fetchKlines(symbol, timeframe, limit, startTime, endTime);
+  const klines = await downloadKlines(symbol, timeframe, startDate.getTime(), endDate.getTime());
   
-  console.log(`[Backtest] Fetched ${klines.length} candles`);
+  console.log(`[Backtest] Loaded ${klines.length} candles`);
   return klines;
 }
 
+/**
+ * Fetch HTF candles for the backtest range, including a warm-up window before the start
+ * @returns {Promise<Object>} Map of timeframe -> candles
+ */
+async function fetchHTFData(symbol, htfTimeframes, entryTimeframe, startDate, endDate) {
+  const htfCandles = {};
+
+  for (const tf of htfTimeframes) {
+    if (tf === entryTimeframe) continue;
+
+    const warmupStart = new Date(startDate.getTime() - HTF_WARMUP_CANDLES * intervalToMs(tf));
+    htfCandles[tf] = await fetchHistoricalData(symbol, tf, warmupStart, endDate);
+  }
+
+  return htfCandles;
+}
+
+/**
+ * Feed HTF candles into the cache up to (and including) the given close time
+ * Only candles that had closed by then are visible to the engine
+ * @param {Object} htfState - Map of timeframe -> { candles, index }
+ */
+function advanceHTF(symbol, htfState, closeTime) {
+  for (const [tf, state] of Object.entries(htfState)) {
+    while (state.index < state.candles.length && state.candles[state.index].closeTime <= closeTime) {
+      klinesCache.updateCandle(symbol, tf, state.candles[state.index]);
+      state.index++;
+    }
+  }
+}
+
 /**
  * Simulate signals on historical data
+ * HTF candles are stepped forward in time order alongside the entry timeframe
  */
-async function simulateSignals(symbol, timeframe, candles, engine, options) {
+async function simulateSignals(symbol, timeframe, candles, engine, options, htfCandles = {}) {
   const signals = [];
   const minCandles = 100; // Minimum candles needed for analysis
   
@@ -148,6 +186,13 @@ async function simulateSignals(symbol, timeframe, candles, engine, options) {
   
   // Initialize cache with first batch of candles
   klinesCache.init(symbol, timeframe, candles.slice(0, minCandles));
+
+  const htfState = {};
+  for (const [tf, tfCandles] of Object.entries(htfCandles)) {
+    klinesCache.init(symbol, tf, []);
+    htfState[tf] = { candles: tfCandles, index: 0 };
+  }
+  advanceHTF(symbol, htfState, candles[minCandles - 1].closeTime);
   
   // Simulate each candle close
   for (let i = minCandles; i < candles.length; i++) {
@@ -155,6 +200,8 @@ async function simulateSignals(symbol, timeframe, candles, engine, options) {
     
     // Update cache with new candle
     klinesCache.updateCandle(symbol, timeframe, candle);
+    advanceHTF(symbol, htfState, candle.closeTime);
+    engine.clock.set(candle.closeTime);
     
     // Try to generate ENTRY signal
     const signal = await engine.analyzeForEntry(symbol, timeframe, false);
@@ -272,7 +319,7 @@ function calculateMetrics(signals, candles, symbol, timeframe) {
 /**
  * Generate report
  */
-function generateReport(results, options) {
+function generateReport(results, options, funnel = []) {
   let report = '\n';
   report += '='.repeat(80) + '\n';
   report += 'PA-BOT BACKTEST REPORT\n';
@@ -319,6 +366,21 @@ function generateReport(results, options) {
     report += `Total P&L: ${totalPnL.toFixed(4)}\n`;
     report += '\n';
   }
+
+  // Candidate funnel: where detected setups were rejected
+  if (funnel.length > 0) {
+    report += '='.repeat(80) + '\n';
+    report += 'CANDIDATE FUNNEL\n';
+    report += '='.repeat(80) + '\n';
+    for (const row of funnel) {
+      report += `${row.outcome.padEnd(16)} ${String(row.count).padStart(6)}`;
+      if (row.avg_score !== null) report += ` | avg score ${row.avg_score.toFixed(1)}`;
+      if (row.avg_volume_ratio !== null) report += ` | avg vol ${row.avg_volume_ratio.toFixed(2)}x`;
+      if (row.avg_risk_reward !== null) report += ` | avg R:R ${row.avg_risk_reward.toFixed(2)}`;
+      report += '\n';
+    }
+    report += '\n';
+  }
   
   report += '='.repeat(80) + '\n';
   
@@ -368,10 +430,21 @@ async function runBacktest() {
     engineConfig.entryScoreThreshold = options.minScore;
   }
   
-  const engine = new SignalEngine(engineConfig);
-  
-  // Temporarily disable Telegram sending
-  process.env.DRY_RUN = 'true';
+  // Isolated runtime: in-memory DB, simulated clock, no Telegram
+  initDatabase(':memory:');
+  const clock = createSimulatedClock(startDate.getTime());
+  const engine = new SignalEngine(engineConfig, {
+    clock,
+    store: {
+      isOnCooldown: cooldownStore.isOnCooldown,
+      addCooldown: cooldownStore.addCooldown,
+      saveSignal: signalStore.saveSignal,
+      saveCandidate: candidateStore.saveCandidate
+    },
+    notifier: { sendSignal: async () => true }
+  });
+
+  initCandleStore();
   
   // Run backtest for each symbol
   const results = [];
@@ -390,6 +463,15 @@ async function runBacktest() {
         console.log(`[Backtest] Insufficient data for ${symbol}, skipping`);
         continue;
       }
+
+      // Fetch HTF data so HTF bias matches the live engine
+      const htfCandles = await fetchHTFData(
+        symbol,
+        engine.config.htfTimeframes,
+        options.timeframe,
+        startDate,
+        endDate
+      );
       
       // Simulate signals
       const signals = await simulateSignals(
@@ -397,23 +479,26 @@ async function runBacktest() {
         options.timeframe,
         candles,
         engine,
-        options
+        options,
+        htfCandles
       );
       
       // Calculate metrics
       const metrics = calculateMetrics(signals, candles, symbol, options.timeframe);
       results.push(metrics);
       
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
     } catch (err) {
       console.error(`[Backtest] Error processing ${symbol}:`, err.message);
     }
   }
   
+  const funnel = candidateStore.getCandidateStats();
+
+  closeCandleStore();
+  closeDatabase();
+  
   // Generate report
-  const report = generateReport(results, options);
+  const report = generateReport(results, options, funnel);
   
   // Output report
   if (options.output) {
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Download Klines Script
+ * Fill the on-disk candle store with historical data for backtests and offline analysis
+ *
+ * Usage:
+ *   node scripts/download-klines.js --symbols BTCUSDT,ETHUSDT --timeframes 1d,4h,1h --period 180d
+ *   node scripts/download-klines.js --symbol BTCUSDT --timeframes 15m --start 2024-01-01 --end 2024-03-01
+ *
+ * Options:
+ *   --symbol <SYMBOL>        Single symbol to download
+ *   --symbols <SYMBOLS>      Comma-separated list of symbols
+ *   --timeframes <TFS>       Comma-separated timeframes (default: TIMEFRAMES from .env)
+ *   --period <PERIOD>        Period to download (e.g., 30d, 6m, 1y)
+ *   --start <DATE>           Start date (YYYY-MM-DD)
+ *   --end <DATE>             End date (YYYY-MM-DD)
+ */
+
+require('dotenv').config();
+
+const { downloadKlines } = require('../src/binance/history');
+const { initCandleStore, closeCandleStore } = require('../src/store/candles');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    symbols: (process.env.SYMBOLS || 'BTCUSDT,ETHUSDT').split(',').map((s) => s.trim()).filter(Boolean),
+    timeframes: (process.env.TIMEFRAMES || '1d,4h,1h').split(',').map((tf) => tf.trim()).filter(Boolean),
+    period: '30d',
+    startDate: null,
+    endDate: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--symbol' && args[i + 1]) {
+      options.symbols = [args[++i].toUpperCase()];
+    } else if (arg === '--symbols' && args[i + 1]) {
+      options.symbols = args[++i].split(',').map((s) => s.trim().toUpperCase()).filter(Boolean);
+    } else if (arg === '--timeframes' && args[i + 1]) {
+      options.timeframes = args[++i].split(',').map((tf) => tf.trim()).filter(Boolean);
+    } else if (arg === '--period' && args[i + 1]) {
+      options.period = args[++i];
+    } else if (arg === '--start' && args[i + 1]) {
+      options.startDate = args[++i];
+    } else if (arg === '--end' && args[i + 1]) {
+      options.endDate = args[++i];
+    }
+  }
+
+  return options;
+}
+
+function parsePeriodToDays(period) {
+  const match = period.match(/^(\d+)([dwmy])$/);
+  if (!match) {
+    throw new Error(`Invalid period format: ${period}. Use format like 7d, 30d, 3m`);
+  }
+
+  const value = parseInt(match[1]);
+  const days = { d: 1, w: 7, m: 30, y: 365 };
+  return value * days[match[2]];
+}
+
+async function main() {
+  const options = parseArgs();
+
+  const endTime = options.endDate ? new Date(options.endDate).getTime() : Date.now();
+  const startTime = options.startDate
+    ? new Date(options.startDate).getTime()
+    : endTime - parsePeriodToDays(options.period) * 24 * 60 * 60 * 1000;
+
+  console.log(`[Download] ${new Date(startTime).toISOString()} → ${new Date(endTime).toISOString()}`);
+
+  initCandleStore();
+
+  for (const symbol of options.symbols) {
+    for (const timeframe of options.timeframes) {
+      try {
+        const candles = await downloadKlines(symbol, timeframe, startTime, endTime);
+        console.log(`[Download] ✓ ${symbol} ${timeframe}: ${candles.length} candles available`);
+      } catch (err) {
+        console.error(`[Download] ✗ ${symbol} ${timeframe}:`, err.message);
+      }
+    }
+  }
+
+  closeCandleStore();
+}
+
+main().catch((err) => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Binance Futures Server
+ * Serves the REST endpoints and kline streams PA-Bot uses, from synthetic or fixture candles,
+ * so the bot can run on a laptop or in tests without network access
+ *
+ * Usage:
+ *   node scripts/mock-binance.js --port 8080
+ *   node scripts/mock-binance.js --symbols BTCUSDT,ETHUSDT --fixture fixtures/btc.json
+ *
+ * Then start the bot against it:
+ *   BINANCE_API_BASE=http://localhost:8080 BINANCE_WS_BASE=ws://localhost:8080 DRY_RUN=true npm start
+ *
+ * Options:
+ *   --port <PORT>            Listen port (default: 8080)
+ *   --symbols <SYMBOLS>      Comma-separated TRADING perpetuals (default: BTCUSDT,ETHUSDT)
+ *   --fixture <FILE>         JSON { SYMBOL: { interval: [Binance kline arrays] } }; candles are shifted
+ *                            so the last one has just closed, synthetic candles continue from it
+ *   --tick-ms <MS>           Milliseconds between kline stream updates (default: 1000)
+ *
+ * Scenario controls (POST):
+ *   /mock/disconnect         Drop every WebSocket connection (clients reconnect)
+ *   /mock/pause?ms=<MS>      Stop sending kline messages for a while; closes in between are lost
+ */
+
+const http = require('http');
+const fs = require('fs');
+const WebSocket = require('ws');
+const { candleOpenTime } = require('../src/binance/intervals');
+const { systemClock } = require('../src/app/clock');
+
+const DEFAULT_BASE_PRICES = { BTCUSDT: 60000, ETHUSDT: 3000 };
+const TICK_SIZE = '0.01';
+const STEP_SIZE = '0.001';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    port: 8080,
+    symbols: ['BTCUSDT', 'ETHUSDT'],
+    fixture: null,
+    tickMs: 1000
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--port' && args[i + 1]) {
+      options.port = parseInt(args[++i]);
+    } else if (arg === '--symbols' && args[i + 1]) {
+      options.symbols = args[++i].split(',').map((s) => s.trim().toUpperCase()).filter(Boolean);
+    } else if (arg === '--fixture' && args[i + 1]) {
+      options.fixture = args[++i];
+    } else if (arg === '--tick-ms' && args[i + 1]) {
+      options.tickMs = parseInt(args[++i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Deterministic pseudo-random value in [-1, 1] for an integer key
+ */
+function noise(key) {
+  const x = Math.sin(key * 12.9898 + 78.233) * 43758.5453;
+  return (x - Math.floor(x)) * 2 - 1;
+}
+
+/**
+ * Candle source: fixture candles where available, a deterministic synthetic price path elsewhere
+ * The same time always yields the same candle, so REST and stream data agree
+ */
+class MarketData {
+  /**
+   * @param {Array<string>} symbols
+   * @param {Object|null} fixture - { SYMBOL: { interval: [kline arrays] } }
+   * @param {number} now - Startup time in milliseconds
+   */
+  constructor(symbols, fixture = null, now = Date.now()) {
+    this.symbols = symbols;
+    this.fixtures = new Map(); // 'SYMBOL_interval' → Map(openTime → kline array)
+    this.anchors = new Map(); // symbol → { time, price } the synthetic path continues from
+
+    for (const [symbol, intervals] of Object.entries(fixture || {})) {
+      for (const [interval, klines] of Object.entries(intervals)) {
+        if (klines.length === 0) continue;
+
+        // Move so the last fixture candle is the one that closed just before startup; each
+        // candle takes the Binance open (Monday weeks, calendar months) of its position
+        const byOpen = new Map();
+        klines.forEach((k, i) => {
+          const openTime = candleOpenTime(interval, now, klines.length - i);
+          const closeTime = candleOpenTime(interval, openTime, -1) - 1;
+          byOpen.set(openTime, [openTime, ...k.slice(1, 6), closeTime, ...k.slice(7)]);
+        });
+        this.fixtures.set(`${symbol}_${interval}`, byOpen);
+
+        const last = klines[klines.length - 1];
+        const lastClose = candleOpenTime(interval, now) - 1;
+        const anchor = this.anchors.get(symbol);
+        if (!anchor || lastClose > anchor.time) {
+          this.anchors.set(symbol, { time: lastClose + 1, price: parseFloat(last[4]) });
+        }
+      }
+    }
+  }
+
+  /**
+   * Synthetic price at a time: slow and fast waves plus per-minute noise
+   */
+  rawPrice(symbol, time) {
+    const phase = symbol.length;
+    const minute = Math.floor(time / 60000);
+    return 1
+      + 0.03 * Math.sin((2 * Math.PI * time) / (3 * 24 * 3600000))
+      + 0.015 * Math.sin((2 * Math.PI * time) / (7 * 3600000) + phase)
+      + 0.004 * Math.sin((2 * Math.PI * time) / (37 * 60000) + phase * 2)
+      + 0.002 * noise(minute + phase * 1000);
+  }
+
+  priceAt(symbol, time) {
+    const anchor = this.anchors.get(symbol);
+    if (anchor) {
+      return (anchor.price * this.rawPrice(symbol, time)) / this.rawPrice(symbol, anchor.time);
+    }
+    return (DEFAULT_BASE_PRICES[symbol] || 100) * this.rawPrice(symbol, time);
+  }
+
+  /**
+   * Kline array (Binance format) for the candle opening at openTime, formed up to `now`
+   */
+  kline(symbol, interval, openTime, now = Date.now()) {
+    const fixture = this.fixtures.get(`${symbol}_${interval}`);
+    if (fixture && fixture.has(openTime)) return fixture.get(openTime);
+
+    const closeTime = candleOpenTime(interval, openTime, -1) - 1;
+    const intervalMs = closeTime + 1 - openTime;
+    const end = Math.min(now, closeTime + 1);
+
+    // Sample at most 60 points per candle; the close is the next candle's open
+    const step = Math.max(intervalMs / 60, 60000);
+    const prices = [];
+    for (let t = openTime; t < end; t += step) prices.push(this.priceAt(symbol, t));
+    prices.push(this.priceAt(symbol, end));
+
+    const round = (p) => p.toFixed(2);
+    const volume = (intervalMs / 60000) * 10 * (1.5 + noise(openTime / 60000 + symbol.length));
+    const quoteVolume = volume * prices[prices.length - 1];
+
+    return [
+      openTime,
+      round(prices[0]),
+      round(Math.max(...prices)),
+      round(Math.min(...prices)),
+      round(prices[prices.length - 1]),
+      volume.toFixed(3),
+      closeTime,
+      quoteVolume.toFixed(2),
+      Math.round(volume * 3),
+      (volume / 2).toFixed(3),
+      (quoteVolume / 2).toFixed(2),
+      '0'
+    ];
+  }
+
+  /**
+   * Klines like /fapi/v1/klines: from startTime, or the latest `limit` ending with the forming one
+   * Opens follow Binance: weeks on Monday, months on the 1st (UTC)
+   */
+  klines(symbol, interval, { limit = 500, startTime = null, endTime = null } = {}, now = Date.now()) {
+    const currentOpen = candleOpenTime(interval, now);
+    const lastOpen = Math.min(currentOpen, endTime !== null ? candleOpenTime(interval, endTime) : currentOpen);
+    let firstOpen = candleOpenTime(interval, lastOpen, limit - 1);
+    if (startTime !== null) {
+      // First candle opening at or after startTime
+      firstOpen = candleOpenTime(interval, startTime);
+      if (firstOpen < startTime) firstOpen = candleOpenTime(interval, startTime, -1);
+    }
+
+    const result = [];
+    for (let t = firstOpen; t <= lastOpen && result.length < limit; t = candleOpenTime(interval, t, -1)) {
+      result.push(this.kline(symbol, interval, t, now));
+    }
+    return result;
+  }
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options - { port, symbols, fixture (parsed JSON), tickMs, clock ({ now() }, tests shift time with it) }
+ * @returns {Promise<Object>} { port, restUrl, wsUrl, disconnectAll(), pause(ms), close() }
+ */
+function startMockServer(options = {}) {
+  const port = options.port === undefined ? 8080 : options.port;
+  const symbols = options.symbols || ['BTCUSDT', 'ETHUSDT'];
+  const tickMs = options.tickMs || 1000;
+  const clock = options.clock || systemClock;
+  const data = new MarketData(symbols, options.fixture || null, clock.now());
+  let pausedUntil = 0;
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'X-MBX-USED-WEIGHT-1M': '1' });
+    res.end(JSON.stringify(body));
+  };
+  const invalidSymbol = (res) => sendJson(res, 400, { code: -1121, msg: 'Invalid symbol.' });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const q = url.searchParams;
+    const now = clock.now();
+
+    if (req.method === 'POST' && url.pathname === '/mock/disconnect') {
+      controls.disconnectAll();
+      return sendJson(res, 200, { disconnected: true });
+    }
+    if (req.method === 'POST' && url.pathname === '/mock/pause') {
+      controls.pause(parseInt(q.get('ms')) || 60000);
+      return sendJson(res, 200, { pausedUntil });
+    }
+
+    switch (url.pathname) {
+      case '/fapi/v1/time':
+        return sendJson(res, 200, { serverTime: now });
+
+      case '/fapi/v1/exchangeInfo':
+        return sendJson(res, 200, {
+          timezone: 'UTC',
+          serverTime: now,
+          symbols: symbols.map((symbol) => ({
+            symbol,
+            status: 'TRADING',
+            contractType: 'PERPETUAL',
+            baseAsset: symbol.replace(/USDT$/, ''),
+            quoteAsset: 'USDT',
+            onboardDate: 1569398400000,
+            filters: [
+              { filterType: 'PRICE_FILTER', tickSize: TICK_SIZE, minPrice: '0.01', maxPrice: '1000000' },
+              { filterType: 'LOT_SIZE', stepSize: STEP_SIZE, minQty: '0.001', maxQty: '1000' }
+            ]
+          }))
+        });
+
+      case '/fapi/v1/klines': {
+        const symbol = q.get('symbol');
+        if (!symbols.includes(symbol)) return invalidSymbol(res);
+        return sendJson(res, 200, data.klines(symbol, q.get('interval'), {
+          limit: Math.min(parseInt(q.get('limit')) || 500, 1500),
+          startTime: q.has('startTime') ? parseInt(q.get('startTime')) : null,
+          endTime: q.has('endTime') ? parseInt(q.get('endTime')) : null
+        }, now));
+      }
+
+      case '/fapi/v1/ticker/24hr': {
+        const ticker = (symbol) => {
+          const day = data.klines(symbol, '1h', { limit: 24 }, now);
+          const volume = day.reduce((sum, k) => sum + parseFloat(k[5]), 0);
+          const quoteVolume = day.reduce((sum, k) => sum + parseFloat(k[7]), 0);
+          return { symbol, lastPrice: day[day.length - 1][4], volume: volume.toFixed(3), quoteVolume: quoteVolume.toFixed(2) };
+        };
+        if (!q.has('symbol')) return sendJson(res, 200, symbols.map(ticker));
+        if (!symbols.includes(q.get('symbol'))) return invalidSymbol(res);
+        return sendJson(res, 200, ticker(q.get('symbol')));
+      }
+
+      default:
+        return sendJson(res, 404, { code: -1, msg: `Mock has no route ${url.pathname}` });
+    }
+  });
+
+  // Combined kline streams: /stream?streams=btcusdt@kline_1h/...
+  const wss = new WebSocket.Server({ server });
+  // Listen errors are re-emitted here; startMockServer() rejects on them
+  wss.on('error', () => {});
+
+  wss.on('connection', (socket, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    socket.streams = new Map(); // stream name → openTime of the candle being streamed
+    for (const name of (url.searchParams.get('streams') || '').split('/').filter(Boolean)) {
+      socket.streams.set(name, null);
+    }
+
+    socket.on('message', (raw) => {
+      let request;
+      try {
+        request = JSON.parse(raw);
+      } catch (err) {
+        return;
+      }
+      for (const name of request.params || []) {
+        if (request.method === 'SUBSCRIBE' && !socket.streams.has(name)) socket.streams.set(name, null);
+        if (request.method === 'UNSUBSCRIBE') socket.streams.delete(name);
+      }
+      socket.send(JSON.stringify({ result: null, id: request.id }));
+    });
+  });
+
+  const klineMessage = (name, symbol, interval, kline, isClosed, now) => JSON.stringify({
+    stream: name,
+    data: {
+      e: 'kline',
+      E: now,
+      s: symbol,
+      k: {
+        t: kline[0], T: kline[6], s: symbol, i: interval,
+        o: kline[1], h: kline[2], l: kline[3], c: kline[4], v: kline[5],
+        n: kline[8], x: isClosed, q: kline[7], V: kline[9], Q: kline[10]
+      }
+    }
+  });
+
+  const tick = setInterval(() => {
+    const now = clock.now();
+    if (now < pausedUntil) return;
+
+    for (const socket of wss.clients) {
+      if (socket.readyState !== WebSocket.OPEN) continue;
+
+      for (const [name, lastOpen] of socket.streams) {
+        const match = name.match(/^(\w+)@kline_(\w+)$/);
+        if (!match) continue;
+        const symbol = match[1].toUpperCase();
+        const interval = match[2];
+        if (!symbols.includes(symbol)) continue;
+
+        const currentOpen = candleOpenTime(interval, now);
+
+        // The candle streamed last closed: send its final update (only the latest one after a pause)
+        if (lastOpen !== null && currentOpen > lastOpen) {
+          const closedOpen = candleOpenTime(interval, currentOpen, 1);
+          socket.send(klineMessage(name, symbol, interval, data.kline(symbol, interval, closedOpen, now), true, now));
+        }
+
+        socket.send(klineMessage(name, symbol, interval, data.kline(symbol, interval, currentOpen, now), false, now));
+        socket.streams.set(name, currentOpen);
+      }
+    }
+  }, tickMs);
+
+  const controls = {
+    port,
+    restUrl: null,
+    wsUrl: null,
+    disconnectAll() {
+      console.log(`[Mock] Dropping ${wss.clients.size} WebSocket connections`);
+      for (const socket of wss.clients) socket.terminate();
+    },
+    pause(ms) {
+      console.log(`[Mock] Pausing kline streams for ${ms}ms`);
+      pausedUntil = clock.now() + ms;
+    },
+    close() {
+      clearInterval(tick);
+      for (const socket of wss.clients) socket.terminate();
+      return new Promise((resolve) => wss.close(() => server.close(() => resolve())));
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once('error', (err) => {
+      clearInterval(tick);
+      reject(err);
+    });
+    server.listen(port, () => {
+      controls.port = server.address().port;
+      controls.restUrl = `http://localhost:${controls.port}`;
+      controls.wsUrl = `ws://localhost:${controls.port}`;
+      console.log(`[Mock] Binance mock listening on ${controls.restUrl} (${symbols.join(', ')})`);
+      resolve(controls);
+    });
+  });
+}
+
+// Run if called directly
+if (require.main === module) {
+  const options = parseArgs();
+  const fixture = options.fixture ? JSON.parse(fs.readFileSync(options.fixture, 'utf8')) : null;
+
+  startMockServer({ ...options, fixture }).then((mock) => {
+    const shutdown = () => mock.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  }).catch((err) => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockServer, MarketData };
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Replay Script
+ * Play a WebSocket recording (WS_RECORD_DIR) through the engine and tracker, offline
+ *
+ * Usage:
+ *   node scripts/replay.js data/recordings/ws-20260211-083000.ndjson.gz
+ *   node scripts/replay.js data/recordings/ws-20260211-083000.ndjson.gz --speed 0
+ *
+ * Options:
+ *   --speed <N>              1 = real time (default), 60 = one minute per second, 0 = as fast as possible
+ *
+ * Runs isolated: in-memory DB, simulated clock following the recording, no Telegram.
+ */
+
+require('dotenv').config();
+const binanceWS = require('../src/binance/ws');
+const ReplaySource = require('../src/binance/replay');
+const SignalEngine = require('../src/app/engine');
+const SignalTracker = require('../src/app/tracker');
+const { createSimulatedClock } = require('../src/app/clock');
+const { initDatabase, closeDatabase } = require('../src/store/db');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    file: null,
+    speed: 1
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--speed' && args[i + 1]) {
+      options.speed = parseFloat(args[++i]);
+    } else if (!arg.startsWith('--')) {
+      options.file = arg;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs();
+  if (!options.file) {
+    console.error('Usage: node scripts/replay.js <recording.ndjson.gz> [--speed N]');
+    process.exit(1);
+  }
+
+  initDatabase(':memory:');
+  const clock = createSimulatedClock(0);
+
+  const signals = [];
+  const tracker = new SignalTracker({}, {
+    clock,
+    notifier: {
+      sendFollowUp: async (refs, text) => {
+        console.log(`[Replay] Follow-up: ${text}`);
+        return true;
+      }
+    }
+  });
+  const engine = new SignalEngine({}, {
+    clock,
+    tracker,
+    notifier: {
+      sendSignal: async (signal) => {
+        signals.push(signal);
+        console.log(`[Replay] Signal ${signal.symbol} ${signal.timeframe} ${signal.side} @ ${signal.levels.entry} | Score: ${signal.score}`);
+        return true;
+      }
+    }
+  });
+
+  const source = new ReplaySource(options.file, { speed: options.speed, clock });
+  await binanceWS.replay(
+    source,
+    async (symbol, timeframe, candle, meta) => {
+      await engine.onCandleClosed(symbol, timeframe, candle, meta);
+      await tracker.onCandleClosed(symbol, timeframe, candle);
+    },
+    tracker.config.useFormingCandles
+      ? (symbol, timeframe, candle) => tracker.onIntrabarUpdate(symbol, timeframe, candle)
+      : null
+  );
+
+  console.log(`[Replay] Complete: ${signals.length} signals`);
+  closeDatabase();
+}
+
+main().catch((err) => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+/**
+ * Clocks injectable into the engine and stores
+ * A clock is any object with a now() method returning milliseconds
+ */
+
+/**
+ * Wall-clock time
+ */
+const systemClock = {
+  now: () => Date.now()
+};
+
+/**
+ * Create a manually driven clock (e.g. for backtests stepping through candle closes)
+ * Timers set on it fire when set() moves the clock past their due time, not in real time
+ * @param {number} startTime - Initial time in milliseconds
+ * @returns {{now: Function, set: Function, setTimeout: Function, clearTimeout: Function, runAll: Function}}
+ */
+function createSimulatedClock(startTime = 0) {
+  let current = startTime;
+  let nextTimerId = 1;
+  // id → { due, fn }
+  const timers = new Map();
+
+  const fireDue = (time) => {
+    const due = [...timers.entries()]
+      .filter(([, timer]) => timer.due <= time)
+      .sort((a, b) => a[1].due - b[1].due || a[0] - b[0]);
+
+    for (const [id, timer] of due) {
+      // Cancelled by an earlier timer
+      if (!timers.has(id)) continue;
+      timers.delete(id);
+      timer.fn();
+    }
+  };
+
+  return {
+    now: () => current,
+    set: (time) => {
+      current = time;
+      fireDue(time);
+    },
+    setTimeout: (fn, ms) => {
+      const id = nextTimerId++;
+      timers.set(id, { due: current + ms, fn });
+      return id;
+    },
+    clearTimeout: (id) => {
+      timers.delete(id);
+    },
+    // Move the clock to the last pending timer, firing every timer on the way
+    runAll: () => {
+      if (timers.size === 0) return;
+      const last = Math.max(...[...timers.values()].map((timer) => timer.due));
+      current = Math.max(current, last);
+      fireDue(current);
+    }
+  };
+}
+
+/**
+ * Run fn after ms of the clock's time
+ * Clocks with their own timers (simulated clocks) fire it as they are advanced;
+ * any other clock uses a real timer
+ * @param {Object} clock
+ * @param {Function} fn
+ * @param {number} ms
+ * @returns {Function} Cancels the timer
+ */
+function setClockTimeout(clock, fn, ms) {
+  if (typeof clock.setTimeout === 'function') {
+    const id = clock.setTimeout(fn, ms);
+    return () => clock.clearTimeout(id);
+  }
+
+  const timer = setTimeout(fn, ms);
+  return () => clearTimeout(timer);
+}
+
+module.exports = {
+  systemClock,
+  createSimulatedClock,
+  setClockTimeout
+};
@@ -0,0 +1,136 @@
+const settingsStore = require('../store/settings');
+const { clearCooldowns } = require('../store/cooldown');
+
+/**
+ * Runtime controls over a running SignalEngine
+ * Changes apply to engine.config immediately and are persisted in the settings table,
+ * so they survive restarts without editing .env
+ */
+
+const SETTING_KEYS = {
+  paused: 'engine.paused',
+  mutes: 'engine.mutes',
+  entryScoreThreshold: 'engine.entryScoreThreshold'
+};
+
+/**
+ * Build a mute key: 'BTCUSDT' mutes every timeframe, 'BTCUSDT:4h' a single one
+ */
+function muteKey(symbol, timeframe = null) {
+  return timeframe ? `${symbol}:${timeframe}` : symbol;
+}
+
+class RuntimeControls {
+  constructor(engine, deps = {}) {
+    this.engine = engine;
+    this.settings = deps.settings || settingsStore;
+    this.clearCooldowns = deps.clearCooldowns || clearCooldowns;
+    // Configured (.env) values, restored when an override is reset
+    this.defaults = { entryScoreThreshold: engine.config.entryScoreThreshold };
+  }
+
+  /**
+   * Apply persisted overrides to the engine (call once at startup)
+   */
+  load() {
+    const config = this.engine.config;
+
+    config.paused = this.settings.getSetting(SETTING_KEYS.paused, false);
+    config.mutes = this.settings.getSetting(SETTING_KEYS.mutes, []);
+
+    const threshold = this.settings.getSetting(SETTING_KEYS.entryScoreThreshold, null);
+    if (threshold !== null) config.entryScoreThreshold = threshold;
+
+    if (config.paused) console.log('[Controls] Engine is paused (persisted)');
+    if (config.mutes.length > 0) console.log('[Controls] Muted:', config.mutes.join(', '));
+    if (threshold !== null) console.log(`[Controls] Entry score threshold override: ${threshold}`);
+  }
+
+  /**
+   * Timeframes signals are analyzed on, the only ones a timeframe mute applies to
+   */
+  getEntryTimeframes() {
+    return this.engine.config.entryTimeframes || [];
+  }
+
+  /**
+   * Highest score a signal can get: base 100 plus the RSI divergence bonus (see calculateScore)
+   */
+  getMaxScore() {
+    return 100 + (this.engine.config.rsiDivergenceBonus || 0);
+  }
+
+  getState() {
+    const config = this.engine.config;
+    return {
+      paused: Boolean(config.paused),
+      mutes: config.mutes || [],
+      entryScoreThreshold: config.entryScoreThreshold
+    };
+  }
+
+  pause() {
+    this.engine.config.paused = true;
+    this.settings.setSetting(SETTING_KEYS.paused, true);
+  }
+
+  resume() {
+    this.engine.config.paused = false;
+    this.settings.setSetting(SETTING_KEYS.paused, false);
+  }
+
+  /**
+   * @returns {boolean} False if already muted
+   */
+  mute(symbol, timeframe = null) {
+    const key = muteKey(symbol, timeframe);
+    const mutes = this.engine.config.mutes || [];
+    if (mutes.includes(key)) return false;
+
+    this.engine.config.mutes = [...mutes, key];
+    this.settings.setSetting(SETTING_KEYS.mutes, this.engine.config.mutes);
+    return true;
+  }
+
+  /**
+   * Unmute a symbol (all of its mutes when timeframe is null), or everything when symbol is null
+   * @returns {number} Number of mutes removed
+   */
+  unmute(symbol = null, timeframe = null) {
+    const mutes = this.engine.config.mutes || [];
+    const remaining = mutes.filter((key) => {
+      if (!symbol) return false;
+      if (timeframe) return key !== muteKey(symbol, timeframe);
+      return key !== symbol && !key.startsWith(`${symbol}:`);
+    });
+
+    this.engine.config.mutes = remaining;
+    this.settings.setSetting(SETTING_KEYS.mutes, remaining);
+    return mutes.length - remaining.length;
+  }
+
+  setEntryScoreThreshold(threshold) {
+    this.engine.config.entryScoreThreshold = threshold;
+    this.settings.setSetting(SETTING_KEYS.entryScoreThreshold, threshold);
+  }
+
+  /**
+   * Drop the persisted threshold override and go back to the configured value
+   * @returns {number} Threshold now in effect
+   */
+  resetEntryScoreThreshold() {
+    this.engine.config.entryScoreThreshold = this.defaults.entryScoreThreshold;
+    this.settings.deleteSetting(SETTING_KEYS.entryScoreThreshold);
+    return this.defaults.entryScoreThreshold;
+  }
+
+  /**
+   * @param {string|null} symbol - null clears every cooldown
+   * @returns {number} Number of cooldowns removed
+   */
+  clearCooldown(symbol = null) {
+    return this.clearCooldowns(symbol);
+  }
+}
+
+module.exports = RuntimeControls;
@@ -1,20 +1,30 @@
 const klinesCache = require('../binance/klinesCache');
+const { getSymbolFilters } = require('../binance/exchangeInfo');
 const { analyzeMarketStructure, determineHTFBias, checkHTFAlignment } = require('../pa/structure');
 const { detectSetup } = require('../pa/setups');
 const { calculateScore, calculateLevels } = require('../pa/score');
 const { detectRSIDivergence } = require('../indicators/rsi');
 const { getRecentPivotHighs, getRecentPivotLows } = require('../pa/pivots');
-const { isOnCooldown, addCooldown } = require('../store/cooldown');
-const { saveSignal } = require('../store/signals');
-const { sendSignal } = require('../notify/telegram');
+const cooldownStore = require('../store/cooldown');
+const signalStore = require('../store/signals');
+const { saveCandidate, CANDIDATE_OUTCOMES } = require('../store/candidates');
+const telegram = require('../notify/telegram');
 const { evaluateChaseRisk } = require('../pa/antiChase');
+const { candleOpenTime } = require('../binance/intervals');
+const { systemClock, setClockTimeout } = require('./clock');
 
 /**
  * Main signal detection engine
  * ENTRY-only by default (SETUP disabled unless explicitly enabled)
+ *
+ * Side effects go through injectable dependencies so backtests can run isolated:
+ * - clock: { now() } used for cooldown expiry and sent time
+ * - store: { isOnCooldown, addCooldown, saveSignal, saveCandidate? }
+ * - notifier: { sendSignal }
+ * - tracker: optional { track(signalId, signal) } to follow signals after they are sent
  */
 class SignalEngine {
-  constructor(config = {}) {
+  constructor(config = {}, deps = {}) {
     // Default ENTRY-only
     const stagesEnabled = (process.env.SIGNAL_STAGE_ENABLED || 'entry')
       .split(',')
@@ -47,24 +57,50 @@ class SignalEngine {
       antiChaseMaxPct: parseFloat(process.env.ANTI_CHASE_MAX_PCT) || 3.0,
       rsiDivergenceBonus: parseInt(process.env.RSI_DIVERGENCE_BONUS) || 10,
       requireVolumeConfirmation: (process.env.REQUIRE_VOLUME_CONFIRMATION || 'true') === 'true',
+      // 'replay' analyzes candles backfilled after a WS gap (recorded, never sent), 'log' only caches them
+      gapPolicy: (process.env.GAP_POLICY || 'log').toLowerCase(),
+      // Max wait for HTF candles closing at the same boundary before analyzing an entry candle
+      htfCloseWaitMs: parseInt(process.env.HTF_CLOSE_WAIT_MS) || 5000,
       setupStageEnabled: stagesEnabled.includes('setup'),
       entryStageEnabled: stagesEnabled.includes('entry'),
       entryTimeframes,
       htfTimeframes,
+      // Runtime controls (see app/controls.js)
+      paused: false,
+      mutes: [],
       ...config
     };
 
+    this.clock = deps.clock || systemClock;
+    this.store = deps.store || {
+      isOnCooldown: cooldownStore.isOnCooldown,
+      addCooldown: cooldownStore.addCooldown,
+      saveSignal: signalStore.saveSignal,
+      saveCandidate
+    };
+    this.notifier = deps.notifier || { sendSignal: telegram.sendSignal };
+    this.tracker = deps.tracker || null;
+
     // Keep map for compatibility, but setup is off by default
     this.setupAlerts = new Map();
+    // symbol → Set of checks for entry candles waiting on HTF closes
+    this.htfWaiters = new Map();
 
     console.log('[Engine] Signal engine initialized with config:', this.config);
   }
 
-  async analyzeForEntry(symbol, timeframe, isIntrabar = false) {
+  /**
+   * @param {Object} meta - { backfilled: true } for a candle replayed after a gap: analyzed with
+   *   the market as of its close and recorded as a candidate, but not sent, tracked or put on cooldown
+   * @param {number|null} asOf - Close time to analyze at (replayed candles); null uses the latest
+   */
+  async analyzeForEntry(symbol, timeframe, isIntrabar = false, meta = {}, asOf = null) {
     if (!this.config.entryStageEnabled) return null;
+    if (this.config.paused || this.isMuted(symbol, timeframe)) return null;
 
     try {
-      const candles = klinesCache.get(symbol, timeframe);
+      let candles = klinesCache.get(symbol, timeframe);
+      if (candles && asOf !== null) candles = candles.filter((c) => c.closeTime <= asOf);
       if (!candles || candles.length < 100) return null;
 
       const setup = detectSetup(candles, this.config);
@@ -72,11 +108,23 @@ class SignalEngine {
 
       console.log(`[Engine] ENTRY: Setup detected: ${symbol} ${timeframe} - ${setup.name}`);
 
-      const htfBias = await this.getHTFBias(symbol);
+      const currentCandle = candles[candles.length - 1];
+      const candidate = {
+        symbol,
+        timeframe,
+        side: setup.side,
+        setupType: setup.type,
+        setupName: setup.name,
+        candleTime: currentCandle.closeTime
+      };
+
+      const htfBias = await this.getHTFBias(symbol, asOf);
       const htfAlignment = checkHTFAlignment(setup.side, htfBias);
+      candidate.htfBias = htfBias.bias;
 
       if (!htfAlignment.aligned) {
         console.log(`[Engine] ENTRY: HTF not aligned for ${symbol} ${timeframe}, skipping ENTRY`);
+        this.recordCandidate(candidate, CANDIDATE_OUTCOMES.HTF_NOT_ALIGNED);
         return null;
       }
 
@@ -84,41 +132,55 @@ class SignalEngine {
       const pivotLows = getRecentPivotLows(candles, this.config.pivotWindow, 10);
       const divergence = detectRSIDivergence(candles, pivotHighs, pivotLows);
 
-      const currentCandle = candles[candles.length - 1];
       const recentCandles = candles.slice(-20);
       const avgVolume = recentCandles.reduce((sum, c) => sum + c.volume, 0) / recentCandles.length;
       const volumeRatio = currentCandle.volume / avgVolume;
+      candidate.volumeRatio = volumeRatio;
 
       if (this.config.requireVolumeConfirmation && volumeRatio < this.config.volumeSpikeThreshold) {
         console.log(
           `[Engine] ENTRY: Insufficient volume (${volumeRatio.toFixed(2)}x < ${this.config.volumeSpikeThreshold}x), skipping`
         );
+        this.recordCandidate(candidate, CANDIDATE_OUTCOMES.LOW_VOLUME);
         return null;
       }
 
       const scoreResult = calculateScore(setup, htfAlignment, candles, divergence, this.config);
+      candidate.score = scoreResult.score;
 
       if (scoreResult.score < this.config.entryScoreThreshold) {
         console.log(
           `[Engine] ENTRY: Score too low (${scoreResult.score} < ${this.config.entryScoreThreshold}), skipping`
         );
+        this.recordCandidate(candidate, CANDIDATE_OUTCOMES.LOW_SCORE);
         return null;
       }
 
-      const levels = calculateLevels(setup, this.config.zoneSLBuffer);
+      const filters = getSymbolFilters(symbol);
+      const levels = calculateLevels(setup, this.config.zoneSLBuffer, filters ? filters.tickSize : null);
+      candidate.riskReward = levels.riskReward1;
 
       if (typeof levels.riskReward1 === 'number' && levels.riskReward1 < this.config.minRR) {
         console.log(
           `[Engine] ENTRY: R:R too low (${levels.riskReward1.toFixed(2)} < ${this.config.minRR}), skipping`
         );
+        this.recordCandidate(candidate, CANDIDATE_OUTCOMES.LOW_RR);
         return null;
       }
 
       const chaseEval = evaluateChaseRisk(candles, setup, this.config);
-      if (chaseEval.decision === 'CHASE_NO') return null;
+      candidate.chaseScore = chaseEval.score;
+      if (chaseEval.decision === 'CHASE_NO') {
+        this.recordCandidate(candidate, CANDIDATE_OUTCOMES.CHASE_NO);
+        return null;
+      }
 
       const zoneKey = setup.zone ? setup.zone.key : 'none';
-      if (isOnCooldown(symbol, timeframe, setup.side, zoneKey)) return null;
+      const now = this.clock.now();
+      if (this.store.isOnCooldown(symbol, timeframe, setup.side, zoneKey, now)) {
+        this.recordCandidate(candidate, CANDIDATE_OUTCOMES.COOLDOWN);
+        return null;
+      }
 
       const signal = {
         stage: 'ENTRY',
@@ -133,6 +195,7 @@ class SignalEngine {
         volumeRatio,
         levels,
         chaseEval,
+        candle: currentCandle,
         timestamp: currentCandle.closeTime,
         setup_type: setup.type,
         setup_name: setup.name,
@@ -144,13 +207,26 @@ class SignalEngine {
         zone_key: zoneKey
       };
 
+      if (meta.backfilled) {
+        // The candle closed while disconnected: too late to act on. The signals table only
+        // holds sent signals, so the candidate log is the record
+        console.log(`[Engine] ENTRY: Replayed signal ${symbol} ${timeframe} ${setup.side} @ ${levels.entry} recorded, not sent`);
+        this.recordCandidate(candidate, CANDIDATE_OUTCOMES.REPLAYED);
+        return signal;
+      }
+
       console.log(`[Engine] 🎯 ENTRY SIGNAL: ${symbol} ${timeframe} ${setup.side} @ ${levels.entry}`);
 
-      const sent = await sendSignal(signal);
-      if (!sent) return null;
+      const sent = await this.notifier.sendSignal(signal);
+      if (!sent) {
+        this.recordCandidate(candidate, CANDIDATE_OUTCOMES.SEND_FAILED);
+        return null;
+      }
 
-      saveSignal(signal);
-      addCooldown(symbol, timeframe, setup.side, zoneKey, this.config.cooldownMinutes);
+      const signalId = this.store.saveSignal(signal, now);
+      this.recordCandidate({ ...candidate, signalId }, CANDIDATE_OUTCOMES.SENT);
+      if (this.tracker) this.tracker.track(signalId, signal);
+      this.store.addCooldown(symbol, timeframe, setup.side, zoneKey, this.config.cooldownMinutes, now);
 
       return signal;
     } catch (err) {
@@ -159,6 +235,28 @@ class SignalEngine {
     }
   }
 
+  /**
+   * Whether signals are muted for a symbol (all timeframes) or a symbol/timeframe pair
+   */
+  isMuted(symbol, timeframe) {
+    const mutes = this.config.mutes || [];
+    return mutes.includes(symbol) || mutes.includes(`${symbol}:${timeframe}`);
+  }
+
+  /**
+   * Record a detected setup and the stage outcome in the audit log
+   * Failures are logged and never interrupt analysis
+   */
+  recordCandidate(candidate, outcome) {
+    if (!this.store.saveCandidate) return;
+
+    try {
+      this.store.saveCandidate({ ...candidate, outcome }, this.clock.now());
+    } catch (err) {
+      console.error(`[Engine] Failed to record candidate for ${candidate.symbol} ${candidate.timeframe}:`, err.message);
+    }
+  }
+
   // SETUP disabled by default: keep method for backward compatibility but short-circuit unless enabled
   async analyzeForSetup(symbol, timeframe) {
     if (!this.config.setupStageEnabled) return null;
@@ -166,10 +264,15 @@ class SignalEngine {
     return null;
   }
 
-  async getHTFBias(symbol) {
+  /**
+   * @param {string} symbol
+   * @param {number|null} asOf - Only use HTF candles closed by this time (replayed candles)
+   */
+  async getHTFBias(symbol, asOf = null) {
     const structures = {};
     for (const tf of this.config.htfTimeframes) {
-      const candles = klinesCache.get(symbol, tf);
+      let candles = klinesCache.get(symbol, tf);
+      if (candles && asOf !== null) candles = candles.filter((c) => c.closeTime <= asOf);
       if (candles && candles.length >= 20) {
         structures[tf] = analyzeMarketStructure(candles, this.config.pivotWindow);
       }
@@ -177,9 +280,80 @@ class SignalEngine {
     return determineHTFBias(structures);
   }
 
-  async onCandleClosed(symbol, timeframe, candle) {
+  /**
+   * HTF timeframes whose candle closing at closeTime is not in the cache yet
+   * Timeframes without cached candles (not subscribed) are never waited for
+   * @param {string} symbol
+   * @param {number} closeTime - Close time of the entry candle
+   * @returns {Array<string>}
+   */
+  getPendingHTFCloses(symbol, closeTime) {
+    return this.config.htfTimeframes.filter((tf) => {
+      const candles = klinesCache.get(symbol, tf);
+      if (!candles || candles.length === 0) return false;
+      // Close of the candle after the last cached one (calendar months for 1M)
+      const last = candles[candles.length - 1];
+      return candleOpenTime(tf, last.closeTime + 1, -1) - 1 <= closeTime;
+    });
+  }
+
+  /**
+   * Close-time barrier: at a shared boundary (e.g. 00:00 UTC closes 1h, 4h and 1d) the
+   * streams report in any order, so wait until every HTF candle due at this close has
+   * reached the cache, or htfCloseWaitMs has passed (in clock time, so replays stay deterministic)
+   * @param {string} symbol
+   * @param {number} closeTime - Close time of the entry candle
+   * @returns {Promise<void>}
+   */
+  waitForHTFCloses(symbol, closeTime) {
+    const pending = this.getPendingHTFCloses(symbol, closeTime);
+    if (pending.length === 0) return Promise.resolve();
+
+    console.log(`[Engine] Waiting for ${symbol} ${pending.join(', ')} close before entry analysis`);
+
+    return new Promise((resolve) => {
+      if (!this.htfWaiters.has(symbol)) this.htfWaiters.set(symbol, new Set());
+      const waiters = this.htfWaiters.get(symbol);
+
+      const finish = () => {
+        cancelTimer();
+        waiters.delete(check);
+        if (waiters.size === 0) this.htfWaiters.delete(symbol);
+        resolve();
+      };
+      const check = () => {
+        if (this.getPendingHTFCloses(symbol, closeTime).length === 0) finish();
+      };
+      const cancelTimer = setClockTimeout(this.clock, () => {
+        const stillPending = this.getPendingHTFCloses(symbol, closeTime);
+        console.warn(`[Engine] HTF close wait timed out for ${symbol} (${stillPending.join(', ')} missing), analyzing anyway`);
+        finish();
+      }, this.config.htfCloseWaitMs);
+
+      waiters.add(check);
+    });
+  }
+
+  /**
+   * @param {Object} meta - { backfilled: true } for candles recovered after a gap
+   */
+  async onCandleClosed(symbol, timeframe, candle, meta = {}) {
+    // The cache already holds this candle: re-check entry candles waiting on it
+    const waiters = this.htfWaiters.get(symbol);
+    if (waiters) {
+      for (const check of [...waiters]) check();
+    }
+
+    if (meta.backfilled && this.config.gapPolicy !== 'replay') {
+      console.log(`[Engine] Skipping analysis of backfilled candle ${symbol} ${timeframe} (GAP_POLICY=${this.config.gapPolicy})`);
+      return;
+    }
+
     if (this.config.entryTimeframes.includes(timeframe)) {
-      await this.analyzeForEntry(symbol, timeframe, false);
+      // Backfilled candles are older than the live HTF candles, nothing to wait for
+      if (!meta.backfilled) await this.waitForHTFCloses(symbol, candle.closeTime);
+      // Later candles may already be cached: analyze a backfilled candle as of its own close
+      await this.analyzeForEntry(symbol, timeframe, false, meta, meta.backfilled ? candle.closeTime : null);
     }
   }
 
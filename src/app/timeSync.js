@@ -0,0 +1,113 @@
+const { fetchServerTime } = require('../binance/rest');
+
+/**
+ * Binance server time sync
+ * Polls /fapi/v1/time and keeps the offset between the local clock and the server,
+ * so cooldowns, timestamps and "candle is due" checks agree with candle times.
+ * Usable as a clock (see clock.js): now() returns server-corrected milliseconds.
+ */
+class ServerTimeSync {
+  /**
+   * @param {Object} config - { intervalMs, driftWarnMs, maxRoundTripMs }
+   * @param {Object} deps - { fetchServerTime, onDriftAlert(text) }
+   */
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      intervalMs: (parseInt(process.env.TIME_SYNC_INTERVAL_MINUTES) || 10) * 60 * 1000,
+      // Warn when the local clock is off by more than this
+      driftWarnMs: parseInt(process.env.TIME_DRIFT_WARN_MS) || 1000,
+      // Samples with a slower round trip are discarded: the midpoint guess is too uncertain
+      maxRoundTripMs: parseInt(process.env.TIME_SYNC_MAX_RTT_MS) || 1000,
+      ...config
+    };
+
+    this.fetchServerTime = deps.fetchServerTime || fetchServerTime;
+    this.onDriftAlert = deps.onDriftAlert || null;
+    this.offset = 0;
+    this.lastSyncAt = null;
+    this.drifting = false;
+    this.interval = null;
+  }
+
+  /**
+   * Server-corrected time in milliseconds
+   */
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  /**
+   * Measure the offset once
+   * The server time is assumed to be taken halfway through the round trip; a sample whose
+   * round trip exceeds maxRoundTripMs is discarded and the previous offset kept
+   * @returns {Promise<number>} Offset in milliseconds (server - local)
+   */
+  async sync() {
+    const sentAt = Date.now();
+    const serverTime = await this.fetchServerTime();
+    const receivedAt = Date.now();
+
+    const rtt = receivedAt - sentAt;
+    if (rtt > this.config.maxRoundTripMs) {
+      console.warn(`[TimeSync] Discarding sample with round trip ${rtt}ms (max ${this.config.maxRoundTripMs}ms), keeping offset ${this.offset}ms`);
+      return this.offset;
+    }
+
+    this.offset = Math.round(serverTime + rtt / 2 - receivedAt);
+    this.lastSyncAt = receivedAt;
+
+    console.log(`[TimeSync] Offset ${this.offset}ms (round trip ${rtt}ms)`);
+    this.checkDrift();
+    return this.offset;
+  }
+
+  /**
+   * Warn once when drift passes the threshold, and again when it is back in range
+   */
+  checkDrift() {
+    const drift = Math.abs(this.offset);
+
+    if (drift > this.config.driftWarnMs && !this.drifting) {
+      this.drifting = true;
+      const text = `Local clock is ${this.offset > 0 ? 'behind' : 'ahead of'} Binance by ${drift}ms. Check NTP on this host; server time is used meanwhile.`;
+      console.warn(`[TimeSync] ${text}`);
+      this.alert(`⏱️ <b>Clock drift</b>\n${text}`);
+    } else if (drift <= this.config.driftWarnMs && this.drifting) {
+      this.drifting = false;
+      console.log(`[TimeSync] Clock drift back within ${this.config.driftWarnMs}ms`);
+      this.alert(`✅ <b>Clock drift resolved</b>\nOffset is ${this.offset}ms`);
+    }
+  }
+
+  alert(text) {
+    if (!this.onDriftAlert) return;
+    Promise.resolve()
+      .then(() => this.onDriftAlert(text))
+      .catch((err) => console.error('[TimeSync] Error sending drift alert:', err.message));
+  }
+
+  /**
+   * Sync now, then periodically
+   * A failed first sync is not fatal: the local clock is used until a sync succeeds
+   */
+  async start() {
+    try {
+      await this.sync();
+    } catch (err) {
+      console.error('[TimeSync] Initial sync failed, using local clock:', err.message);
+    }
+
+    this.interval = setInterval(() => {
+      this.sync().catch((err) => console.error('[TimeSync] Sync failed:', err.message));
+    }, this.config.intervalMs);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = ServerTimeSync;
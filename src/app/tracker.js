@@ -0,0 +1,258 @@
+const outcomeStore = require('../store/outcomes');
+const signalStore = require('../store/signals');
+const telegram = require('../notify/telegram');
+const { formatFollowUpMessage } = require('../notify/format');
+const { intervalToMs } = require('../binance/intervals');
+const { systemClock } = require('./clock');
+
+/**
+ * Signal lifecycle tracker
+ * Follows sent signals through entry fill, TP1, TP2, stop loss or expiry
+ *
+ * Lifecycle: PENDING → OPEN → TP1 → TP2 | BREAKEVEN
+ *                     OPEN → SL
+ *            PENDING | OPEN | TP1 → EXPIRED
+ *
+ * When a single candle touches both stop and target, the stop is assumed to hit first.
+ * With forming candles, a bar is evaluated many times: only highs/lows beyond the ones
+ * already applied for that bar count, so a transition is never followed by a stop or
+ * target that price reached before it.
+ */
+
+/**
+ * R multiple of a price relative to the signal's entry and initial stop
+ */
+function calculateR(outcome, price) {
+  const risk = Math.abs(outcome.entry - outcome.stop_loss);
+  if (risk === 0) return 0;
+  const move = outcome.side === 'LONG' ? price - outcome.entry : outcome.entry - price;
+  return move / risk;
+}
+
+/**
+ * Realized R for a closed signal, with tp1ClosePct of the position taken at TP1
+ * @param {Object} outcome
+ * @param {boolean} tp1Hit - Whether TP1 was taken
+ * @param {number} exitPrice - Exit price of the remaining position
+ * @param {number} tp1ClosePct - Percent of position closed at TP1 (0-100)
+ */
+function calculateRealizedR(outcome, tp1Hit, exitPrice, tp1ClosePct) {
+  if (!tp1Hit) return calculateR(outcome, exitPrice);
+  const portion = tp1ClosePct / 100;
+  return portion * calculateR(outcome, outcome.take_profit1) + (1 - portion) * calculateR(outcome, exitPrice);
+}
+
+/**
+ * Evaluate one candle against an open outcome
+ * @param {Object} outcome - Row from getOpenOutcomes()
+ * @param {Object} candle
+ * @param {number} tp1ClosePct - Percent of position closed at TP1 (0-100)
+ * @param {Object|null} seen - { high, low } of this bar already applied by earlier forming updates
+ * @returns {{fields: Object, events: Array<Object>}} Columns to update and events that happened
+ */
+function evaluateCandle(outcome, candle, tp1ClosePct = 50, seen = null) {
+  const isLong = outcome.side === 'LONG';
+  const newHigh = !seen || candle.high > seen.high;
+  const newLow = !seen || candle.low < seen.low;
+  const reached = (price) => (isLong ? newHigh && candle.high >= price : newLow && candle.low <= price);
+  const stopped = (price) => (isLong ? newLow && candle.low <= price : newHigh && candle.high >= price);
+  const rMultiple = (price) => calculateR(outcome, price);
+
+  const fields = {};
+  const events = [];
+  const time = candle.closeTime;
+  let status = outcome.status;
+
+  if (status === 'PENDING') {
+    const filled = candle.low <= outcome.entry && candle.high >= outcome.entry;
+    if (!filled) return { fields, events };
+
+    status = 'OPEN';
+    fields.status = status;
+    fields.filled_at = time;
+    events.push({ type: 'FILLED', price: outcome.entry });
+  }
+
+  // Max favorable / adverse excursion while the position is open, including the fill bar
+  // like stops and targets; later updates of a bar only add new extremes
+  const favorablePrice = isLong ? candle.high : candle.low;
+  const adversePrice = isLong ? candle.low : candle.high;
+  fields.mfe_r = outcome.mfe_r ?? 0;
+  fields.mae_r = outcome.mae_r ?? 0;
+  if (isLong ? newHigh : newLow) fields.mfe_r = Math.max(fields.mfe_r, rMultiple(favorablePrice));
+  if (isLong ? newLow : newHigh) fields.mae_r = Math.min(fields.mae_r, rMultiple(adversePrice));
+
+  const close = (newStatus, exitPrice, tp1Hit) => {
+    fields.status = newStatus;
+    fields.closed_at = time;
+    fields.realized_r = calculateRealizedR(outcome, tp1Hit, exitPrice, tp1ClosePct);
+  };
+
+  if (status === 'OPEN') {
+    if (stopped(outcome.stop_loss)) {
+      close('SL', outcome.stop_loss, false);
+      fields.sl_hit_at = time;
+      events.push({ type: 'SL', price: outcome.stop_loss, r: -1 });
+      return { fields, events };
+    }
+
+    if (!reached(outcome.take_profit1)) return { fields, events };
+
+    status = 'TP1';
+    fields.status = status;
+    fields.tp1_hit_at = time;
+    fields.current_stop = outcome.entry;
+    events.push({ type: 'TP1', price: outcome.take_profit1, r: rMultiple(outcome.take_profit1) });
+
+    if (reached(outcome.take_profit2)) {
+      close('TP2', outcome.take_profit2, true);
+      fields.tp2_hit_at = time;
+      events.push({ type: 'TP2', price: outcome.take_profit2, r: rMultiple(outcome.take_profit2) });
+    }
+    return { fields, events };
+  }
+
+  if (status === 'TP1') {
+    if (stopped(outcome.current_stop)) {
+      close('BREAKEVEN', outcome.current_stop, true);
+      events.push({ type: 'BREAKEVEN', price: outcome.current_stop, r: rMultiple(outcome.current_stop) });
+    } else if (reached(outcome.take_profit2)) {
+      close('TP2', outcome.take_profit2, true);
+      fields.tp2_hit_at = time;
+      events.push({ type: 'TP2', price: outcome.take_profit2, r: rMultiple(outcome.take_profit2) });
+    }
+  }
+
+  return { fields, events };
+}
+
+class SignalTracker {
+  constructor(config = {}, deps = {}) {
+    this.config = {
+      entryExpiryCandles: parseInt(process.env.TRACKER_ENTRY_EXPIRY_CANDLES) || 3,
+      maxHoldCandles: parseInt(process.env.TRACKER_MAX_HOLD_CANDLES) || 100,
+      useFormingCandles: process.env.TRACKER_USE_FORMING_CANDLES === 'true',
+      tp1ClosePct: parseFloat(process.env.TRACKER_TP1_CLOSE_PCT) || 50,
+      ...config
+    };
+
+    this.clock = deps.clock || systemClock;
+    this.store = deps.store || {
+      createOutcome: outcomeStore.createOutcome,
+      getOpenOutcomes: outcomeStore.getOpenOutcomes,
+      updateOutcome: outcomeStore.updateOutcome,
+      saveSignalMessages: signalStore.saveSignalMessages,
+      getSignalMessages: signalStore.getSignalMessages,
+      OPEN_STATUSES: outcomeStore.OPEN_STATUSES
+    };
+    this.notifier = deps.notifier || { sendFollowUp: telegram.sendFollowUp };
+
+    // signal_id → { openTime, high, low } of the forming bar already applied
+    this.seenExtremes = new Map();
+  }
+
+  /**
+   * Start tracking a saved signal
+   * @param {number} signalId
+   * @param {Object} signal - Signal as produced by the engine
+   */
+  track(signalId, signal) {
+    this.store.createOutcome(signalId, signal.stop_loss, this.clock.now());
+    if (signal.telegramMessages && signal.telegramMessages.length > 0) {
+      this.store.saveSignalMessages(signalId, signal.telegramMessages);
+    }
+    console.log(`[Tracker] Tracking signal ID ${signalId} ${signal.symbol} ${signal.timeframe} ${signal.side}`);
+  }
+
+  async onCandleClosed(symbol, timeframe, candle) {
+    await this.processCandle(symbol, timeframe, candle, true);
+  }
+
+  async onIntrabarUpdate(symbol, timeframe, formingCandle) {
+    if (!this.config.useFormingCandles) return;
+    await this.processCandle(symbol, timeframe, formingCandle, false);
+  }
+
+  /**
+   * Apply a candle to every open signal on this symbol/timeframe
+   * All DB updates happen before any notification is awaited,
+   * so overlapping updates never see stale status
+   */
+  async processCandle(symbol, timeframe, candle, isClosed) {
+    try {
+      await this.applyCandle(symbol, timeframe, candle, isClosed);
+    } catch (err) {
+      console.error(`[Tracker] Error processing ${symbol} ${timeframe}:`, err.message);
+    }
+  }
+
+  async applyCandle(symbol, timeframe, candle, isClosed) {
+    const outcomes = this.store.getOpenOutcomes(symbol, timeframe);
+    if (outcomes.length === 0) return;
+
+    const intervalMs = intervalToMs(timeframe);
+    const now = this.clock.now();
+    const notifications = [];
+
+    for (const outcome of outcomes) {
+      // Only candles after the signal candle count
+      if (candle.openTime <= outcome.timestamp) continue;
+      if (outcome.last_candle_time && candle.openTime <= outcome.last_candle_time) continue;
+
+      const mark = this.seenExtremes.get(outcome.signal_id);
+      const seen = mark && mark.openTime === candle.openTime ? mark : null;
+      const { fields, events } = evaluateCandle(outcome, candle, this.config.tp1ClosePct, seen);
+
+      if (isClosed) {
+        this.seenExtremes.delete(outcome.signal_id);
+      } else {
+        this.seenExtremes.set(outcome.signal_id, {
+          openTime: candle.openTime,
+          high: seen ? Math.max(seen.high, candle.high) : candle.high,
+          low: seen ? Math.min(seen.low, candle.low) : candle.low
+        });
+      }
+
+      if (isClosed) {
+        fields.last_candle_time = candle.openTime;
+
+        const status = fields.status || outcome.status;
+        const candlesElapsed = Math.round((candle.closeTime - outcome.timestamp) / intervalMs);
+        const limit = status === 'PENDING' ? this.config.entryExpiryCandles : this.config.maxHoldCandles;
+
+        if (this.store.OPEN_STATUSES.includes(status) && candlesElapsed >= limit) {
+          fields.status = 'EXPIRED';
+          fields.closed_at = candle.closeTime;
+          const wasFilled = status !== 'PENDING';
+          if (wasFilled) {
+            fields.realized_r = calculateRealizedR(outcome, status === 'TP1', candle.close, this.config.tp1ClosePct);
+          }
+          events.push({
+            type: 'EXPIRED',
+            price: candle.close,
+            r: wasFilled ? fields.realized_r : null,
+            wasFilled
+          });
+        }
+      }
+
+      if (fields.closed_at) this.seenExtremes.delete(outcome.signal_id);
+
+      this.store.updateOutcome(outcome.signal_id, fields, now);
+
+      for (const event of events) {
+        console.log(`[Tracker] Signal ID ${outcome.signal_id} ${symbol} ${timeframe}: ${event.type} @ ${event.price}`);
+        notifications.push({ outcome, event });
+      }
+    }
+
+    for (const { outcome, event } of notifications) {
+      const refs = this.store.getSignalMessages(outcome.signal_id);
+      await this.notifier.sendFollowUp(refs, formatFollowUpMessage(outcome, event));
+    }
+  }
+}
+
+module.exports = SignalTracker;
+module.exports.evaluateCandle = evaluateCandle;
+module.exports.calculateRealizedR = calculateRealizedR;
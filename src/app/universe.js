@@ -0,0 +1,87 @@
+const { fetchExchangeInfo } = require('../binance/exchangeInfo');
+const { fetch24hrTicker } = require('../binance/rest');
+
+/**
+ * Automatic symbol universe: the most liquid TRADING perpetuals by 24h quote volume
+ * Enabled with SYMBOLS=auto:topN
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a SYMBOLS value in universe mode
+ * @param {string} value - e.g. 'auto:top30'
+ * @returns {{top: number}|null} Null for a static symbol list
+ */
+function parseUniverseSpec(value) {
+  const match = String(value || '').trim().match(/^auto:top(\d+)$/i);
+  if (!match) return null;
+  return { top: parseInt(match[1]) };
+}
+
+/**
+ * Universe filters from env
+ * @returns {Object} { quoteAsset, minQuoteVolume, minListingDays, exclude, refreshHours }
+ */
+function getUniverseConfig() {
+  return {
+    quoteAsset: process.env.UNIVERSE_QUOTE_ASSET || 'USDT',
+    minQuoteVolume: parseFloat(process.env.UNIVERSE_MIN_QUOTE_VOLUME) || 0,
+    minListingDays: parseInt(process.env.UNIVERSE_MIN_LISTING_DAYS) || 0,
+    exclude: (process.env.UNIVERSE_EXCLUDE || '')
+      .split(',')
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean),
+    refreshHours: parseFloat(process.env.UNIVERSE_REFRESH_HOURS) || 6
+  };
+}
+
+/**
+ * Whether a contract from exchangeInfo passes the universe rules (status, type, quote asset,
+ * exclusions, listing age); volume is checked separately
+ * @param {Object} s - exchangeInfo symbol entry
+ * @param {Object} config - See getUniverseConfig()
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isEligible(s, config, now = Date.now()) {
+  if (s.status !== 'TRADING' || s.contractType !== 'PERPETUAL') return false;
+  if (s.quoteAsset !== config.quoteAsset) return false;
+  if (config.exclude.includes(s.symbol)) return false;
+  if (config.minListingDays && (s.onboardDate || 0) > now - config.minListingDays * DAY_MS) return false;
+  return true;
+}
+
+/**
+ * Rank TRADING perpetuals by 24h quote volume and keep the top N that pass the filters
+ * @param {number} top - Number of symbols to select
+ * @param {Object} config - See getUniverseConfig()
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {Promise<Array<string>>} Symbols, most liquid first
+ */
+async function selectUniverse(top, config = getUniverseConfig(), now = Date.now()) {
+  const [exchangeInfo, tickers] = await Promise.all([fetchExchangeInfo(), fetch24hrTicker()]);
+
+  const eligible = new Set(
+    exchangeInfo.symbols
+      .filter((s) => isEligible(s, config, now))
+      .map((s) => s.symbol)
+  );
+
+  const ranked = tickers
+    .filter((t) => eligible.has(t.symbol))
+    .map((t) => ({ symbol: t.symbol, quoteVolume: parseFloat(t.quoteVolume) }))
+    .filter((t) => t.quoteVolume >= config.minQuoteVolume)
+    .sort((a, b) => b.quoteVolume - a.quoteVolume)
+    .slice(0, top);
+
+  console.log(`[Universe] Selected ${ranked.length}/${eligible.size} eligible symbols by 24h quote volume`);
+  return ranked.map((t) => t.symbol);
+}
+
+module.exports = {
+  parseUniverseSpec,
+  getUniverseConfig,
+  isEligible,
+  selectUniverse
+};
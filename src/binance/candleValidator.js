@@ -0,0 +1,134 @@
+const { intervalToMs } = require('./intervals');
+
+/**
+ * Candle validation and sanitization between the data sources (WS, REST) and klinesCache
+ * Rejects candles that can't be trusted, repairs inconsistent price ranges and counts
+ * anomalies per stream for monitoring.
+ *
+ * Anomaly types:
+ * - malformed: missing/non-finite fields, non-positive prices, negative volume (rejected)
+ * - misaligned: openTime not on an interval boundary (rejected)
+ * - repaired_range: high/low not enclosing open/close (repaired)
+ * - zero_range: closed candle with high === low (kept, counted)
+ * - duplicate: closed candle already in the series (replaced)
+ * - out_of_order: older than the last cached candle (inserted in place; rejected when
+ *   older than the first cached candle)
+ */
+
+const PRICE_FIELDS = ['open', 'high', 'low', 'close'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CandleValidator {
+  constructor() {
+    // 'SYMBOL_tf' → { anomaly type → count }
+    this.counts = new Map();
+  }
+
+  /**
+   * Check one candle and repair what can be repaired
+   * Time checks only apply to closed candles: forming ones never enter the series
+   * @param {string} symbol
+   * @param {string} timeframe
+   * @param {Object} candle
+   * @returns {Object|null} The candle (a repaired copy if needed), or null when rejected
+   */
+  sanitize(symbol, timeframe, candle) {
+    if (!candle || !Number.isFinite(candle.openTime)) {
+      this.record(symbol, timeframe, 'malformed', 'invalid open time');
+      return null;
+    }
+    const forming = candle.isClosed === false;
+    if (!forming && (!Number.isFinite(candle.closeTime) || candle.closeTime <= candle.openTime)) {
+      this.record(symbol, timeframe, 'malformed', `invalid close time @ ${candle.openTime}`);
+      return null;
+    }
+
+    for (const field of PRICE_FIELDS) {
+      if (!Number.isFinite(candle[field]) || candle[field] <= 0) {
+        this.record(symbol, timeframe, 'malformed', `${field}=${candle[field]} @ ${candle.openTime}`);
+        return null;
+      }
+    }
+    if (!Number.isFinite(candle.volume) || candle.volume < 0) {
+      this.record(symbol, timeframe, 'malformed', `volume=${candle.volume} @ ${candle.openTime}`);
+      return null;
+    }
+
+    // Weekly/monthly candles don't open on epoch multiples
+    const intervalMs = intervalToMs(timeframe);
+    if (!forming && intervalMs <= DAY_MS && candle.openTime % intervalMs !== 0) {
+      this.record(symbol, timeframe, 'misaligned', `openTime ${candle.openTime}`);
+      return null;
+    }
+
+    const high = Math.max(candle.open, candle.high, candle.low, candle.close);
+    const low = Math.min(candle.open, candle.high, candle.low, candle.close);
+    let result = candle;
+    if (high !== candle.high || low !== candle.low) {
+      this.record(symbol, timeframe, 'repaired_range', `high ${candle.high} low ${candle.low} @ ${candle.openTime}`);
+      result = { ...candle, high, low };
+    }
+
+    // Forming candles often have no range yet
+    if (!forming && result.high === result.low) {
+      this.record(symbol, timeframe, 'zero_range');
+    }
+
+    return result;
+  }
+
+  /**
+   * Sanitize a full series (e.g. a REST fetch): drops rejected candles, sorts by openTime
+   * and keeps the last of any duplicates
+   * @returns {Array} Clean series, oldest first
+   */
+  sanitizeSeries(symbol, timeframe, candles) {
+    const byOpenTime = new Map();
+    let previousOpen = -Infinity;
+
+    for (const candle of candles) {
+      const clean = this.sanitize(symbol, timeframe, candle);
+      if (!clean) continue;
+
+      if (byOpenTime.has(clean.openTime)) {
+        this.record(symbol, timeframe, 'duplicate', `openTime ${clean.openTime}`);
+      } else if (clean.openTime < previousOpen) {
+        this.record(symbol, timeframe, 'out_of_order', `openTime ${clean.openTime}`);
+      }
+      previousOpen = Math.max(previousOpen, clean.openTime);
+      byOpenTime.set(clean.openTime, clean);
+    }
+
+    return [...byOpenTime.values()].sort((a, b) => a.openTime - b.openTime);
+  }
+
+  /**
+   * Count an anomaly (and log it, except the routine zero-range case)
+   */
+  record(symbol, timeframe, type, detail = null) {
+    const key = `${symbol}_${timeframe}`;
+    if (!this.counts.has(key)) this.counts.set(key, {});
+    const counts = this.counts.get(key);
+    counts[type] = (counts[type] || 0) + 1;
+
+    if (type !== 'zero_range') {
+      console.warn(`[Validator] ${symbol} ${timeframe}: ${type}${detail ? ` (${detail})` : ''}`);
+    }
+  }
+
+  /**
+   * Anomaly counts per stream since startup
+   * @returns {Array<{symbol: string, timeframe: string, counts: Object, total: number}>} Most anomalies first
+   */
+  getAnomalies() {
+    return [...this.counts.entries()]
+      .map(([key, counts]) => {
+        const [symbol, timeframe] = key.split('_');
+        const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+        return { symbol, timeframe, counts: { ...counts }, total };
+      })
+      .sort((a, b) => b.total - a.total);
+  }
+}
+
+module.exports = new CandleValidator();
@@ -0,0 +1,234 @@
+const http = require('http');
+const https = require('https');
+
+const BASE_URL = process.env.BINANCE_API_BASE || 'https://fapi.binance.com';
+
+/**
+ * Shared Binance REST client
+ * Every Binance REST call goes through request(), which:
+ * - spends request weight from a token bucket refilled at BINANCE_WEIGHT_LIMIT per minute
+ * - syncs the bucket with the X-MBX-USED-WEIGHT-1M header (the server's count wins)
+ * - pauses all requests on 429/418 until Retry-After has passed
+ * - times out slow requests and retries network errors, 5xx and 429 with backoff (p-retry)
+ */
+
+/**
+ * Integer env var, falling back to defaultValue when unset or not a number (0 is kept)
+ */
+function envInt(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+const config = {
+  // Binance USDT-M futures allows 2400 weight per minute per IP; keep a margin for other clients
+  weightLimit: parseInt(process.env.BINANCE_WEIGHT_LIMIT) || 2000,
+  timeoutMs: parseInt(process.env.REST_TIMEOUT_MS) || 10000,
+  // 0 disables retries
+  retries: envInt('REST_MAX_RETRIES', 3)
+};
+
+const bucket = {
+  tokens: config.weightLimit,
+  updatedAt: Date.now()
+};
+
+let usedWeight = 0;
+let pausedUntil = 0;
+let pRetryModule = null;
+
+/**
+ * Error for non-2xx Binance responses
+ */
+class BinanceHttpError extends Error {
+  constructor(status, body, retryAfterMs = null) {
+    super(`HTTP ${status}: ${body}`);
+    this.name = 'BinanceHttpError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * p-retry is ESM-only, so it is loaded once with a dynamic import
+ */
+async function loadPRetry() {
+  if (!pRetryModule) {
+    pRetryModule = await import('p-retry');
+  }
+  return pRetryModule;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function refill(now) {
+  const elapsed = now - bucket.updatedAt;
+  bucket.tokens = Math.min(config.weightLimit, bucket.tokens + (elapsed * config.weightLimit) / 60000);
+  bucket.updatedAt = now;
+}
+
+/**
+ * Wait until the request weight is available (and any 429/418 pause is over), then spend it
+ * @param {number} weight
+ */
+async function acquire(weight) {
+  for (;;) {
+    const now = Date.now();
+    if (now < pausedUntil) {
+      await sleep(pausedUntil - now);
+      continue;
+    }
+
+    refill(now);
+    if (bucket.tokens >= weight) {
+      bucket.tokens -= weight;
+      return;
+    }
+
+    const waitMs = Math.ceil(((weight - bucket.tokens) * 60000) / config.weightLimit);
+    await sleep(waitMs);
+  }
+}
+
+/**
+ * Trust the server's weight count over our own estimate
+ */
+function syncUsedWeight(headers) {
+  const header = headers['x-mbx-used-weight-1m'];
+  if (header === undefined) return;
+
+  usedWeight = parseInt(header);
+  refill(Date.now());
+  bucket.tokens = Math.min(bucket.tokens, config.weightLimit - usedWeight);
+}
+
+/**
+ * Make an HTTP(S) GET request with a timeout
+ * The timeout covers the whole request, so a response trickled in slowly still times out
+ * Plain http:// is only expected for a local mock server (scripts/mock-binance.js)
+ */
+function httpGet(url) {
+  const transport = url.startsWith('http:') ? http : https;
+  return new Promise((resolve, reject) => {
+    const fail = (err) => {
+      clearTimeout(timer);
+      reject(err);
+    };
+
+    const req = transport.get(url, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('error', fail);
+      res.on('end', () => {
+        clearTimeout(timer);
+        syncUsedWeight(res.headers);
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (err) {
+            reject(new Error(`Failed to parse JSON: ${err.message}`));
+          }
+        } else {
+          const retryAfter = parseInt(res.headers['retry-after']);
+          reject(new BinanceHttpError(res.statusCode, data, Number.isNaN(retryAfter) ? null : retryAfter * 1000));
+        }
+      });
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(new Error(`Request timed out after ${config.timeoutMs}ms`));
+    }, config.timeoutMs);
+    req.on('error', fail);
+  });
+}
+
+/**
+ * Send one attempt, pausing every request on 429/418
+ * Client errors are wrapped in AbortError when given, so p-retry does not retry them
+ */
+async function send(path, url, AbortError = null) {
+  try {
+    return await httpGet(url);
+  } catch (err) {
+    if (err instanceof BinanceHttpError) {
+      if (err.status === 429 || err.status === 418) {
+        // 429: over the limit; 418: IP banned for repeating 429s. Pause every request.
+        const pauseMs = err.retryAfterMs || 60000;
+        pausedUntil = Math.max(pausedUntil, Date.now() + pauseMs);
+        console.warn(`[REST] HTTP ${err.status} on ${path}, pausing requests for ${Math.round(pauseMs / 1000)}s`);
+        throw err;
+      }
+      if (err.status < 500 && AbortError) {
+        // Client errors (bad symbol, bad params) will not succeed on retry
+        throw new AbortError(err);
+      }
+    }
+    throw err;
+  }
+}
+
+/**
+ * GET a Binance REST endpoint
+ * @param {string} path - e.g. '/fapi/v1/klines'
+ * @param {Object} params - Query parameters (null/undefined values are skipped)
+ * @param {Object} options - { weight, direct }
+ *   weight: request weight from the Binance docs (default: 1)
+ *   direct: send one attempt right away, without waiting for weight or retrying, for calls
+ *   that time the round trip (server time sync). The weight is still spent; fails while paused
+ * @returns {Promise<*>} Parsed JSON response
+ */
+async function request(path, params = {}, options = {}) {
+  const weight = options.weight || 1;
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  const url = `${BASE_URL}${path}${query ? `?${query}` : ''}`;
+
+  if (options.direct) {
+    const now = Date.now();
+    if (now < pausedUntil) {
+      throw new Error(`Requests paused for another ${Math.ceil((pausedUntil - now) / 1000)}s`);
+    }
+    refill(now);
+    bucket.tokens -= weight;
+    return send(path, url);
+  }
+
+  const { default: pRetry, AbortError } = await loadPRetry();
+
+  return pRetry(
+    async () => {
+      await acquire(weight);
+      return send(path, url, AbortError);
+    },
+    {
+      retries: config.retries,
+      minTimeout: 1000,
+      maxTimeout: 30000,
+      randomize: true,
+      onFailedAttempt: (err) => {
+        if (err.retriesLeft > 0) {
+          console.warn(`[REST] ${path} failed (attempt ${err.attemptNumber}): ${err.message}, retrying...`);
+        }
+      }
+    }
+  );
+}
+
+/**
+ * Weight used in the current minute, as last reported by Binance
+ * @returns {number}
+ */
+function getUsedWeight() {
+  return usedWeight;
+}
+
+module.exports = {
+  BinanceHttpError,
+  request,
+  getUsedWeight
+};
@@ -1,37 +1,62 @@
-const https = require('https');
+const { request } = require('./client');
 
-const BASE_URL = process.env.BINANCE_API_BASE || 'https://fapi.binance.com';
+// Trading rules per symbol, replaced on every exchangeInfo fetch
+const symbolFilters = new Map();
+// Contract status per symbol (TRADING, SETTLING, ...) from the last fetch
+const symbolStatuses = new Map();
 
 /**
- * Make an HTTPS GET request
+ * Cache PRICE_FILTER and LOT_SIZE rules and statuses from an exchangeInfo response
+ * Symbols missing from the response (delisted) are dropped
  */
-function httpsGet(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            resolve(JSON.parse(data));
-          } catch (err) {
-            reject(new Error(`Failed to parse JSON: ${err.message}`));
-          }
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-        }
-      });
-    }).on('error', reject);
-  });
+function cacheSymbolFilters(exchangeInfo) {
+  symbolFilters.clear();
+  symbolStatuses.clear();
+
+  for (const s of exchangeInfo.symbols) {
+    symbolStatuses.set(s.symbol, s.status);
+
+    const priceFilter = s.filters.find((f) => f.filterType === 'PRICE_FILTER');
+    const lotSize = s.filters.find((f) => f.filterType === 'LOT_SIZE');
+
+    symbolFilters.set(s.symbol, {
+      tickSize: priceFilter ? priceFilter.tickSize : null,
+      minPrice: priceFilter ? parseFloat(priceFilter.minPrice) : null,
+      maxPrice: priceFilter ? parseFloat(priceFilter.maxPrice) : null,
+      stepSize: lotSize ? lotSize.stepSize : null,
+      minQty: lotSize ? parseFloat(lotSize.minQty) : null,
+      maxQty: lotSize ? parseFloat(lotSize.maxQty) : null
+    });
+  }
 }
 
 /**
  * Fetch exchange info to validate symbols
+ * Also caches each symbol's trading rules (see getSymbolFilters)
  * @returns {Promise<Object>} Exchange info with symbols array
  */
 async function fetchExchangeInfo() {
-  const url = `${BASE_URL}/fapi/v1/exchangeInfo`;
-  return await httpsGet(url);
+  const exchangeInfo = await request('/fapi/v1/exchangeInfo', {}, { weight: 1 });
+  cacheSymbolFilters(exchangeInfo);
+  return exchangeInfo;
+}
+
+/**
+ * Get cached trading rules for a symbol
+ * tickSize/stepSize are kept as strings (as sent by Binance) so their decimals are exact
+ * @param {string} symbol
+ * @returns {Object|null} { tickSize, minPrice, maxPrice, stepSize, minQty, maxQty }, null before the first fetch
+ */
+function getSymbolFilters(symbol) {
+  return symbolFilters.get(symbol) || null;
+}
+
+/**
+ * Get contract statuses from the last exchangeInfo fetch
+ * @returns {Map<string, string>} symbol → status (a copy; empty before the first fetch)
+ */
+function getSymbolStatuses() {
+  return new Map(symbolStatuses);
 }
 
 /**
@@ -68,5 +93,7 @@ async function validateSymbols(symbols) {
 
 module.exports = {
   fetchExchangeInfo,
+  getSymbolFilters,
+  getSymbolStatuses,
   validateSymbols
 };
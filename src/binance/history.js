@@ -0,0 +1,98 @@
+const { fetchKlines } = require('./rest');
+const candleStore = require('../store/candles');
+const { intervalToMs, candleOpenTime } = require('./intervals');
+
+const MAX_LIMIT = 1500; // Binance max candles per klines request
+
+/**
+ * Page through klines for a time range, one request at a time
+ * Each page asks only for the candles left in the range: weight drops from 10 (limit 1500)
+ * to 1 for the short gaps the WebSocket backfills
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {number} startTime - Start time in milliseconds (inclusive, by openTime)
+ * @param {number} endTime - End time in milliseconds (inclusive, by openTime)
+ * @returns {Promise<Array>} Candles, oldest first
+ */
+async function fetchKlinesPaged(symbol, interval, startTime, endTime) {
+  const intervalMs = intervalToMs(interval);
+  const candles = [];
+  let cursor = startTime;
+
+  while (cursor <= endTime) {
+    const limit = Math.min(MAX_LIMIT, Math.floor((endTime - cursor) / intervalMs) + 1);
+    const batch = await fetchKlines(symbol, interval, limit, cursor, endTime);
+    if (batch.length === 0) break;
+
+    candles.push(...batch);
+    cursor = batch[batch.length - 1].openTime + 1;
+
+    if (batch.length < limit) break;
+  }
+
+  return candles;
+}
+
+/**
+ * Download closed klines for a time range, using the on-disk candle store as cache
+ * Only ranges that were never downloaded are fetched from Binance
+ * Requires initCandleStore() to have been called
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {number} startTime - Start time in milliseconds (inclusive, by openTime)
+ * @param {number} endTime - End time in milliseconds (inclusive, by openTime, default: now)
+ * @param {number} now - Current time in milliseconds, on the same clock as Binance candle times
+ *   (default: Date.now()); decides which candles are closed
+ * @returns {Promise<Array>} Closed candles, oldest first
+ */
+async function downloadKlines(symbol, interval, startTime, endTime = null, now = Date.now()) {
+  if (endTime === null) endTime = now;
+  const missing = candleStore.getMissingRanges(symbol, interval, startTime, endTime);
+
+  for (const range of missing) {
+    if (range.startTime > now) continue;
+
+    console.log(
+      `[History] Downloading ${symbol} ${interval} ` +
+      `${new Date(range.startTime).toISOString()} → ${new Date(range.endTime).toISOString()}`
+    );
+
+    const fetched = await fetchKlinesPaged(symbol, interval, range.startTime, range.endTime);
+    const closed = fetched.filter((c) => c.closeTime < now);
+
+    // Stop coverage before the forming candle so it is fetched again once closed
+    const forming = fetched.find((c) => c.closeTime >= now);
+    const coveredEnd = forming ? forming.openTime - 1 : Math.min(range.endTime, now);
+
+    candleStore.saveCandles(symbol, interval, closed);
+    if (coveredEnd >= range.startTime) {
+      candleStore.addCoverage(symbol, interval, range.startTime, coveredEnd);
+    }
+
+    console.log(`[History] ✓ ${symbol} ${interval}: stored ${closed.length} candles`);
+  }
+
+  return candleStore.getCandles(symbol, interval, startTime, endTime);
+}
+
+/**
+ * Latest closed klines from the on-disk store, downloading only what is missing
+ * (after a restart: the candles that closed since the last stored one)
+ * Requires initCandleStore() to have been called
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {number} count - Number of closed candles wanted
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {Promise<Array>} Up to `count` closed candles, oldest first
+ */
+async function loadRecentKlines(symbol, interval, count, now = Date.now()) {
+  const startTime = candleOpenTime(interval, now, count);
+  const candles = await downloadKlines(symbol, interval, startTime, now, now);
+  return candles.slice(-count);
+}
+
+module.exports = {
+  fetchKlinesPaged,
+  downloadKlines,
+  loadRecentKlines
+};
@@ -0,0 +1,65 @@
+/**
+ * Binance kline interval helpers
+ */
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Binance weeks open on Monday 00:00 UTC; the first Monday after the epoch is 1970-01-05
+const WEEK_ANCHOR_MS = 4 * UNIT_MS.d;
+
+function parseInterval(interval) {
+  const match = String(interval).match(/^(\d+)([mhdwM])$/);
+  if (!match) {
+    throw new Error(`Invalid interval: ${interval}`);
+  }
+  return { value: parseInt(match[1]), unit: match[2] };
+}
+
+/**
+ * Convert a Binance interval string to milliseconds
+ * Monthly intervals ('1M') are approximated as 30 days
+ * @param {string} interval - Timeframe (e.g., '15m', '1h', '4h', '1d')
+ * @returns {number} Interval length in milliseconds
+ */
+function intervalToMs(interval) {
+  const { value, unit } = parseInterval(interval);
+
+  if (unit === 'M') {
+    return value * 30 * UNIT_MS.d;
+  }
+
+  return value * UNIT_MS[unit];
+}
+
+/**
+ * Open time of the candle containing `time`, or of the candle `candlesBack` before it
+ * Weekly candles open on Monday and monthly candles on the 1st (UTC), not on epoch multiples
+ * @param {string} interval - Timeframe (e.g., '1h', '1w', '1M')
+ * @param {number} time - Time in milliseconds
+ * @param {number} candlesBack - Number of candles to step back (default: 0)
+ * @returns {number} Open time in milliseconds
+ */
+function candleOpenTime(interval, time, candlesBack = 0) {
+  const { value, unit } = parseInterval(interval);
+
+  if (unit === 'M') {
+    const date = new Date(time);
+    const month = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    const openMonth = Math.floor(month / value) * value - candlesBack * value;
+    return Date.UTC(Math.floor(openMonth / 12), openMonth % 12, 1);
+  }
+
+  const intervalMs = value * UNIT_MS[unit];
+  const anchor = unit === 'w' ? WEEK_ANCHOR_MS : 0;
+  return Math.floor((time - anchor) / intervalMs) * intervalMs + anchor - candlesBack * intervalMs;
+}
+
+module.exports = {
+  intervalToMs,
+  candleOpenTime
+};
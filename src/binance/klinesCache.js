@@ -1,6 +1,9 @@
+const candleValidator = require('./candleValidator');
+
 /**
  * Cache for klines data organized by symbol and timeframe
  * Supports both closed candles and forming (intrabar) candles
+ * Every candle goes through candleValidator before it is stored
  */
 class KlinesCache {
   constructor() {
@@ -8,6 +11,8 @@ class KlinesCache {
     this.cache = {};
     // Structure: { symbol: { timeframe: formingCandle } }
     this.formingCandles = {};
+    // Never trim below the history loaded at startup
+    this.maxCandles = Math.max(1000, parseInt(process.env.KLINE_HISTORY_CANDLES) || 0);
   }
 
   /**
@@ -18,61 +23,106 @@ class KlinesCache {
       this.cache[symbol] = {};
       this.formingCandles[symbol] = {};
     }
-    this.cache[symbol][timeframe] = initialKlines;
+    const candles = candleValidator.sanitizeSeries(symbol, timeframe, initialKlines);
+    this.cache[symbol][timeframe] = candles;
     this.formingCandles[symbol][timeframe] = null;
-    console.log(`[KlinesCache] Initialized ${symbol} ${timeframe} with ${initialKlines.length} candles`);
+    console.log(`[KlinesCache] Initialized ${symbol} ${timeframe} with ${candles.length} candles`);
+  }
+
+  /**
+   * Drop cached candles for a symbol (all timeframes when timeframe is null)
+   */
+  remove(symbol, timeframe = null) {
+    if (!this.cache[symbol]) return;
+
+    if (timeframe) {
+      delete this.cache[symbol][timeframe];
+      delete this.formingCandles[symbol][timeframe];
+    } else {
+      delete this.cache[symbol];
+      delete this.formingCandles[symbol];
+    }
+    console.log(`[KlinesCache] Removed ${symbol}${timeframe ? ` ${timeframe}` : ''}`);
   }
 
   /**
    * Update cache with a new closed candle
-   * Replaces the last candle if it has the same openTime, otherwise appends
+   * Replaces the last candle if it has the same openTime, appends newer candles and
+   * inserts older ones in openTime order (rejected when older than the whole cache,
+   * which would leave a gap after them)
    * Note: This method also clears the forming candle when a new closed candle arrives
+   * @returns {string|null} 'appended', 'replaced', 'inserted', 'duplicate' or 'rejected'
+   *   (null when the cache is not initialized)
    */
   updateCandle(symbol, timeframe, newCandle) {
     if (!this.cache[symbol] || !this.cache[symbol][timeframe]) {
       console.warn(`[KlinesCache] Cache not initialized for ${symbol} ${timeframe}`);
-      return;
+      return null;
     }
 
-    const candles = this.cache[symbol][timeframe];
-    
-    if (candles.length === 0) {
-      candles.push(newCandle);
-      return;
-    }
+    const candle = candleValidator.sanitize(symbol, timeframe, newCandle);
+    if (!candle) return 'rejected';
 
+    const candles = this.cache[symbol][timeframe];
     const lastCandle = candles[candles.length - 1];
-    
-    // If same openTime, replace (update in progress)
-    if (lastCandle.openTime === newCandle.openTime) {
-      candles[candles.length - 1] = newCandle;
-    } else {
+    let result;
+
+    if (!lastCandle || candle.openTime > lastCandle.openTime) {
       // New candle, append
-      candles.push(newCandle);
-      
-      // Keep cache size reasonable (last 1000 candles)
-      if (candles.length > 1000) {
-        candles.shift();
+      candles.push(candle);
+      result = 'appended';
+    } else if (candle.openTime === lastCandle.openTime) {
+      // If same openTime, replace (update in progress)
+      candles[candles.length - 1] = candle;
+      result = 'replaced';
+    } else if (candle.openTime < candles[0].openTime) {
+      candleValidator.record(symbol, timeframe, 'out_of_order', `openTime ${candle.openTime} before cached history`);
+      return 'rejected';
+    } else {
+      // Older than the last candle: keep the series sorted
+      const index = candles.findIndex((c) => c.openTime >= candle.openTime);
+      if (candles[index].openTime === candle.openTime) {
+        candleValidator.record(symbol, timeframe, 'duplicate', `openTime ${candle.openTime}`);
+        candles[index] = candle;
+        return 'duplicate';
       }
+      candleValidator.record(symbol, timeframe, 'out_of_order', `openTime ${candle.openTime}`);
+      candles.splice(index, 0, candle);
+      result = 'inserted';
     }
 
-    // Clear forming candle when new closed candle arrives
-    if (newCandle.isClosed) {
+    // Keep cache size reasonable
+    if (candles.length > this.maxCandles) {
+      candles.shift();
+    }
+
+    // Clear forming candle when new closed candle arrives (older inserted candles leave it)
+    if (result !== 'inserted' && candle.isClosed) {
       this.formingCandles[symbol][timeframe] = null;
     }
+    return result;
   }
 
   /**
    * Update forming (intrabar) candle
+   * Stale updates (older than the last closed candle) are ignored
    * @param {string} symbol
    * @param {string} timeframe
    * @param {Object} formingCandle - The candle currently forming
+   * @returns {boolean} Whether the candle was accepted
    */
   updateFormingCandle(symbol, timeframe, formingCandle) {
+    const candle = candleValidator.sanitize(symbol, timeframe, formingCandle);
+    if (!candle) return false;
+
+    const candles = this.get(symbol, timeframe);
+    if (candles.length > 0 && candle.openTime < candles[candles.length - 1].openTime) return false;
+
     if (!this.formingCandles[symbol]) {
       this.formingCandles[symbol] = {};
     }
-    this.formingCandles[symbol][timeframe] = formingCandle;
+    this.formingCandles[symbol][timeframe] = candle;
+    return true;
   }
 
   /**
@@ -0,0 +1,40 @@
+/**
+ * Price/quantity rounding to Binance tick and step sizes
+ */
+
+/**
+ * Number of meaningful decimals in a step, e.g. '0.0100' → 2, '1' → 0
+ * @param {string|number} step
+ * @returns {number}
+ */
+function decimalsOf(step) {
+  const text = typeof step === 'number' ? step.toFixed(10) : String(step);
+  const [, fraction = ''] = text.split('.');
+  return fraction.replace(/0+$/, '').length;
+}
+
+/**
+ * Round a price to a multiple of tickSize
+ * @param {number} price
+ * @param {string|number} tickSize - PRICE_FILTER tickSize
+ * @param {string} mode - 'nearest', 'down' or 'up'
+ * @returns {number}
+ */
+function roundToTick(price, tickSize, mode = 'nearest') {
+  const tick = parseFloat(tickSize);
+  if (!tick || !Number.isFinite(price)) return price;
+
+  // Small epsilon so prices already on a tick don't move because of float error
+  const ticks = price / tick;
+  let rounded;
+  if (mode === 'down') rounded = Math.floor(ticks + 1e-9);
+  else if (mode === 'up') rounded = Math.ceil(ticks - 1e-9);
+  else rounded = Math.round(ticks);
+
+  return parseFloat((rounded * tick).toFixed(decimalsOf(tickSize)));
+}
+
+module.exports = {
+  decimalsOf,
+  roundToTick
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+/**
+ * Market data recordings: gzipped NDJSON, one entry per line
+ * - { t, snapshot: { symbol, timeframe, candles } } - cache contents when a stream is subscribed
+ * - { t, message } - raw combined-stream message as received
+ * t is the local receive time in milliseconds
+ */
+
+/**
+ * Build a timestamped recording file path, e.g. data/recordings/ws-20260211-083000.ndjson.gz
+ * @param {string} dir
+ * @param {number} now - Time in milliseconds
+ * @returns {string}
+ */
+function recordingPath(dir, now = Date.now()) {
+  const stamp = new Date(now).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return path.join(dir, `ws-${stamp}.ndjson.gz`);
+}
+
+/**
+ * Appends WebSocket traffic to a compressed recording file
+ */
+class MarketDataRecorder {
+  /**
+   * @param {string} filePath - Output file (created, parent directories included)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = 0;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.gzip = zlib.createGzip();
+    this.finished = new Promise((resolve) => {
+      pipeline(this.gzip, fs.createWriteStream(filePath), (err) => {
+        if (err) console.error('[Recorder] Error writing recording:', err.message);
+        resolve();
+      });
+    });
+
+    console.log(`[Recorder] Recording WebSocket messages to ${filePath}`);
+  }
+
+  /**
+   * Record a raw combined-stream message
+   * @param {Object} message - { stream, data }
+   * @param {number} receivedAt - Local receive time in milliseconds
+   */
+  recordMessage(message, receivedAt = Date.now()) {
+    this.write({ t: receivedAt, message });
+  }
+
+  /**
+   * Record the cached candles of a stream, so a replay starts from the same history
+   */
+  recordSnapshot(symbol, timeframe, candles, now = Date.now()) {
+    this.write({ t: now, snapshot: { symbol, timeframe, candles } });
+  }
+
+  write(entry) {
+    if (!this.gzip.writable) return;
+    this.gzip.write(JSON.stringify(entry) + '\n');
+    this.entries++;
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (this.gzip.writable) this.gzip.end();
+    return this.finished.then(() => {
+      console.log(`[Recorder] Saved ${this.entries} entries to ${this.filePath}`);
+    });
+  }
+}
+
+/**
+ * Read a recording entry by entry
+ * @param {string} filePath
+ * @returns {AsyncGenerator<Object>} Entries in recorded order
+ */
+async function* readRecording(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+module.exports = {
+  MarketDataRecorder,
+  readRecording,
+  recordingPath
+};
@@ -0,0 +1,64 @@
+const { readRecording } = require('./recorder');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Plays a recording (see recorder.js) back with its original timing
+ */
+class ReplaySource {
+  /**
+   * @param {string} filePath - Recording to play
+   * @param {Object} options - { speed, clock }
+   *   speed: 1 = real time, 10 = ten times faster, 0 = as fast as possible
+   *   clock: optional simulated clock (see app/clock.js) set to each entry's recorded time
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.speed = options.speed === undefined ? 1 : options.speed;
+    this.clock = options.clock || null;
+    this.stopped = false;
+  }
+
+  /**
+   * Play every entry through the handlers
+   * @param {Object} handlers - { onSnapshot({ symbol, timeframe, candles }), onMessage(message) }
+   * @returns {Promise<number>} Number of messages played
+   */
+  async run(handlers) {
+    let previousTime = null;
+    let played = 0;
+
+    console.log(`[Replay] Playing ${this.filePath} at ${this.speed > 0 ? `${this.speed}x` : 'full'} speed`);
+
+    for await (const entry of readRecording(this.filePath)) {
+      if (this.stopped) break;
+
+      // Even at full speed, yield so async candle processing keeps up with the feed
+      const wait = previousTime !== null && this.speed > 0 ? (entry.t - previousTime) / this.speed : 0;
+      if (wait > 0) await sleep(wait);
+      else await new Promise((resolve) => setImmediate(resolve));
+      previousTime = entry.t;
+
+      if (this.clock) this.clock.set(entry.t);
+
+      if (entry.snapshot) {
+        handlers.onSnapshot(entry.snapshot);
+      } else if (entry.message) {
+        handlers.onMessage(entry.message);
+        played++;
+      }
+    }
+
+    // Time goes on after the last message: let waits still pending on the clock expire
+    if (this.clock && this.clock.runAll) this.clock.runAll();
+
+    console.log(`[Replay] Played ${played} messages`);
+    return played;
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+}
+
+module.exports = ReplaySource;
@@ -1,28 +1,13 @@
-const https = require('https');
-
-const BASE_URL = process.env.BINANCE_API_BASE || 'https://fapi.binance.com';
+const { request } = require('./client');
 
 /**
- * Make an HTTPS GET request to Binance API
+ * Request weight of /fapi/v1/klines by limit
  */
-function httpsGet(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            resolve(JSON.parse(data));
-          } catch (err) {
-            reject(new Error(`Failed to parse JSON: ${err.message}`));
-          }
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-        }
-      });
-    }).on('error', reject);
-  });
+function klinesWeight(limit) {
+  if (limit < 100) return 1;
+  if (limit < 500) return 2;
+  if (limit <= 1000) return 5;
+  return 10;
 }
 
 /**
@@ -35,16 +20,11 @@ function httpsGet(url) {
  * @returns {Promise<Array>} Array of kline data
  */
 async function fetchKlines(symbol, interval, limit = 500, startTime = null, endTime = null) {
-  let url = `${BASE_URL}/fapi/v1/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
-  
-  if (startTime) {
-    url += `&startTime=${startTime}`;
-  }
-  if (endTime) {
-    url += `&endTime=${endTime}`;
-  }
-
-  const data = await httpsGet(url);
+  const data = await request(
+    '/fapi/v1/klines',
+    { symbol, interval, limit, startTime, endTime },
+    { weight: klinesWeight(limit) }
+  );
   
   // Transform Binance kline format to our internal format
   return data.map(k => ({
@@ -65,15 +45,26 @@ async function fetchKlines(symbol, interval, limit = 500, startTime = null, endT
 
 /**
  * Fetch 24hr ticker price change statistics
- * @param {string} symbol - Trading pair symbol
- * @returns {Promise<Object>} 24hr ticker data
+ * @param {string|null} symbol - Trading pair symbol, or null for every symbol
+ * @returns {Promise<Object|Array<Object>>} 24hr ticker data (an array when symbol is null)
+ */
+async function fetch24hrTicker(symbol = null) {
+  // All symbols cost 40 weight instead of 1
+  return await request('/fapi/v1/ticker/24hr', { symbol }, { weight: symbol ? 1 : 40 });
+}
+
+/**
+ * Fetch Binance server time
+ * Sent directly (no weight wait or retries), so timing the call measures only the HTTP exchange
+ * @returns {Promise<number>} Server time in milliseconds
  */
-async function fetch24hrTicker(symbol) {
-  const url = `${BASE_URL}/fapi/v1/ticker/24hr?symbol=${symbol}`;
-  return await httpsGet(url);
+async function fetchServerTime() {
+  const data = await request('/fapi/v1/time', {}, { weight: 1, direct: true });
+  return data.serverTime;
 }
 
 module.exports = {
   fetchKlines,
-  fetch24hrTicker
+  fetch24hrTicker,
+  fetchServerTime
 };
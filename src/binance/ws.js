@@ -1,90 +1,495 @@
 const WebSocket = require('ws');
 const klinesCache = require('./klinesCache');
+const { fetchKlinesPaged } = require('./history');
+const { candleOpenTime } = require('./intervals');
+const { systemClock } = require('../app/clock');
 
-const WS_BASE_URL = 'wss://fstream.binance.com';
+const WS_BASE_URL = process.env.BINANCE_WS_BASE || 'wss://fstream.binance.com';
+const WATCHDOG_INTERVAL_MS = 10000;
+const HANDSHAKE_TIMEOUT_MS = 30000;
 
 /**
- * WebSocket manager for Binance kline streams with auto-reconnect
- * Supports both closed candle and intrabar (forming candle) callbacks
+ * Build a stream name: btcusdt@kline_1h
  */
-class BinanceWebSocket {
-  constructor() {
+function streamName(symbol, timeframe) {
+  return `${symbol.toLowerCase()}@kline_${timeframe}`;
+}
+
+/**
+ * One combined-stream WebSocket connection (a shard)
+ * Owns its socket, ping and reconnect lifecycle; the manager owns everything else.
+ */
+class WsConnection {
+  /**
+   * @param {number} id - Shard number, used in logs and health keys
+   * @param {Array<string>} streams - Stream names to open the connection with
+   * @param {Object} handlers - { onMessage(message), onOpen(connection), onReconnecting(connection) }
+   */
+  constructor(id, streams, handlers) {
+    this.id = id;
+    this.streams = new Set(streams);
+    // Streams in the URL of the current socket; changes made while it connects are sent on open
+    this.socketStreams = new Set();
+    this.handlers = handlers;
     this.ws = null;
+    this.isConnected = false;
+    this.closing = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
     this.reconnectDelay = 1000; // Start with 1 second
     this.maxReconnectDelay = 60000; // Max 60 seconds
-    this.isConnected = false;
-    this.subscriptions = [];
+    this.reconnectTimer = null;
     this.pingInterval = null;
-    this.onCandleClosedCallback = null;
-    this.onIntrabarUpdateCallback = null;
+    this.lastMessageAt = null;
+    this.nextRequestId = 1;
   }
 
   /**
-   * Subscribe to combined kline streams for multiple symbols and timeframes
-   * @param {Array<string>} symbols - Array of symbols to subscribe
-   * @param {Array<string>} timeframes - Array of timeframes to subscribe
-   * @param {Function} onCandleClosed - Callback when a candle closes
-   * @param {Function} onIntrabarUpdate - Optional callback for forming candle updates
+   * Open the connection with the current stream set
    */
-  connect(symbols, timeframes, onCandleClosed, onIntrabarUpdate = null) {
-    this.onCandleClosedCallback = onCandleClosed;
-    this.onIntrabarUpdateCallback = onIntrabarUpdate;
-    
-    // Build stream names: btcusdt@kline_1m/ethusdt@kline_1h
-    const streams = [];
-    for (const symbol of symbols) {
-      for (const tf of timeframes) {
-        streams.push(`${symbol.toLowerCase()}@kline_${tf}`);
-      }
-    }
-    
-    this.subscriptions = streams;
+  open() {
+    const streams = [...this.streams];
     const streamUrl = `${WS_BASE_URL}/stream?streams=${streams.join('/')}`;
-    
-    console.log(`[WS] Connecting to Binance WebSocket...`);
-    console.log(`[WS] Subscribing to ${streams.length} streams`);
-    
-    this.ws = new WebSocket(streamUrl);
-    
+    this.socketStreams = new Set(streams);
+
+    console.log(`[WS] #${this.id} connecting with ${streams.length} streams...`);
+
+    this.ws = new WebSocket(streamUrl, { handshakeTimeout: HANDSHAKE_TIMEOUT_MS });
+
     this.ws.on('open', () => {
-      console.log('[WS] Connected to Binance WebSocket');
+      console.log(`[WS] #${this.id} connected to Binance WebSocket`);
       this.isConnected = true;
       this.reconnectAttempts = 0;
       this.reconnectDelay = 1000;
-      
+      this.lastMessageAt = Date.now();
+
+      // SUBSCRIBE/UNSUBSCRIBE are skipped during the handshake; catch up with the URL's streams
+      const added = [...this.streams].filter((name) => !this.socketStreams.has(name));
+      const removed = [...this.socketStreams].filter((name) => !this.streams.has(name));
+      if (added.length > 0) this.sendRequest('SUBSCRIBE', added);
+      if (removed.length > 0) this.sendRequest('UNSUBSCRIBE', removed);
+
       // Start ping interval to keep connection alive
       this.startPing();
+      this.handlers.onOpen(this);
     });
 
     this.ws.on('message', (data) => {
+      this.lastMessageAt = Date.now();
       try {
         const message = JSON.parse(data);
-        
-        // Handle combined stream format
-        if (message.stream && message.data) {
-          this.handleKlineMessage(message.data);
+
+        if (message.id !== undefined && !message.stream) {
+          // Response to a SUBSCRIBE/UNSUBSCRIBE request
+          if (message.error) {
+            console.error(`[WS] #${this.id} request ${message.id} failed:`, message.error.msg || message.error);
+          } else {
+            console.log(`[WS] #${this.id} request ${message.id} acknowledged`);
+          }
+          return;
         }
+
+        this.handlers.onMessage(message);
       } catch (err) {
-        console.error('[WS] Error parsing message:', err.message);
+        console.error(`[WS] #${this.id} error handling message:`, err.message);
       }
     });
 
     this.ws.on('error', (err) => {
-      console.error('[WS] WebSocket error:', err.message);
+      console.error(`[WS] #${this.id} WebSocket error:`, err.message);
     });
 
     this.ws.on('close', () => {
-      console.log('[WS] WebSocket connection closed');
+      console.log(`[WS] #${this.id} connection closed`);
       this.isConnected = false;
       this.stopPing();
-      
+
+      if (this.closing) return;
+
       // Attempt to reconnect with exponential backoff
-      this.reconnect(symbols, timeframes, onCandleClosed, onIntrabarUpdate);
+      this.reconnect();
     });
   }
 
+  /**
+   * Reconnect with jittered exponential backoff, never giving up
+   */
+  reconnect() {
+    if (this.closing) return;
+
+    this.reconnectAttempts++;
+
+    // Random delay between half and the full backoff so shards don't reconnect in lockstep
+    const delay = Math.round(this.reconnectDelay / 2 + Math.random() * this.reconnectDelay / 2);
+
+    console.log(`[WS] #${this.id} reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    this.handlers.onReconnecting(this);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.open();
+    }, delay);
+
+    // Exponential backoff: double the delay, up to max
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+
+  /**
+   * Drop the current socket; the close handler reconnects
+   */
+  forceReconnect(reason) {
+    console.warn(`[WS] #${this.id} forcing reconnect: ${reason}`);
+    if (this.ws) {
+      this.ws.terminate();
+    }
+  }
+
+  /**
+   * Add streams (SUBSCRIBE when open, otherwise sent once the socket opens or picked up on the next connect)
+   */
+  addStreams(names) {
+    for (const name of names) this.streams.add(name);
+    this.sendRequest('SUBSCRIBE', names);
+  }
+
+  /**
+   * Remove streams (UNSUBSCRIBE when open, otherwise sent once the socket opens)
+   */
+  removeStreams(names) {
+    for (const name of names) this.streams.delete(name);
+    this.sendRequest('UNSUBSCRIBE', names);
+  }
+
+  /**
+   * Send a JSON request on the open connection (no-op while disconnected)
+   */
+  sendRequest(method, params) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    const id = this.nextRequestId++;
+    this.ws.send(JSON.stringify({ method, params, id }));
+    console.log(`[WS] #${this.id} sent ${method} (request ${id}): ${params.join(', ')}`);
+  }
+
+  /**
+   * Start ping interval to keep connection alive
+   */
+  startPing() {
+    this.stopPing();
+    this.pingInterval = setInterval(() => {
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.ws.ping();
+      }
+    }, 30000); // Ping every 30 seconds
+  }
+
+  /**
+   * Stop ping interval
+   */
+  stopPing() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+  }
+
+  /**
+   * Close for good (no reconnect)
+   */
+  close() {
+    this.closing = true;
+    this.stopPing();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+}
+
+/**
+ * WebSocket manager for Binance kline streams
+ * Supports both closed candle and intrabar (forming candle) callbacks.
+ * Streams are split across connections of at most WS_MAX_STREAMS_PER_CONNECTION streams,
+ * each reconnecting independently; all of them feed the same callbacks.
+ * Supervised: connections reconnect forever with jittered backoff, and a watchdog forces a
+ * reconnect when a connection or a stream goes silent.
+ */
+class BinanceWebSocket {
+  constructor() {
+    this.connections = [];
+    this.nextConnectionId = 1;
+    this.streams = []; // [{ symbol, timeframe }]
+    this.streamConnections = new Map(); // stream name → WsConnection
+    this.watchdogInterval = null;
+    this.onCandleClosedCallback = null;
+    this.onIntrabarUpdateCallback = null;
+    this.onHealthAlertCallback = null;
+    // Clock for "candle is due" checks, comparable with Binance candle times
+    this.clock = systemClock;
+    // Per-stream backfill chain: closed candles wait while a gap is being filled
+    this.backfills = new Map();
+    // 'SYMBOL_tf' → close time of the last closed candle processed
+    this.closedThrough = new Map();
+    // 'SYMBOL_tf' → due close time of the first close the WebSocket missed and REST recovered,
+    // until the WebSocket delivers a close again; the stall check counts from it
+    this.missedCloseDue = new Map();
+    // Degraded health keys ('connection:N' or 'SYMBOL_tf') → reason
+    this.degraded = new Map();
+    // Optional MarketDataRecorder receiving every message (see recorder.js)
+    this.recorder = null;
+    // True while a recording is played back instead of live sockets
+    this.replaying = false;
+    // Candle callbacks still running during a replay
+    this.replayTasks = new Set();
+
+    this.config = {
+      // Binance caps streams per connection; long combined URLs also fail
+      maxStreamsPerConnection: parseInt(process.env.WS_MAX_STREAMS_PER_CONNECTION) || 100,
+      // Force a reconnect when no message at all arrives on a connection for this long
+      staleTimeoutMs: (parseInt(process.env.WS_STALE_TIMEOUT_SEC) || 60) * 1000,
+      // Grace period after a candle is due to close before the stream counts as stalled
+      closeGraceMs: (parseInt(process.env.WS_CLOSE_GRACE_SEC) || 30) * 1000,
+      // Fetch a closed candle over REST when its close hasn't arrived this long after the boundary
+      closeRecoveryMs: (parseInt(process.env.WS_CLOSE_RECOVERY_SEC) || 10) * 1000,
+      // Alert once this many consecutive reconnect attempts have failed
+      alertAfterAttempts: parseInt(process.env.WS_ALERT_AFTER_ATTEMPTS) || 3
+    };
+  }
+
+  /**
+   * True when every connection is open
+   */
+  get isConnected() {
+    return this.connections.length > 0 && this.connections.every((c) => c.isConnected);
+  }
+
+  /**
+   * Names of all subscribed streams
+   */
+  get subscriptions() {
+    return [...this.streamConnections.keys()];
+  }
+
+  /**
+   * Register a handler for health alerts (degraded / recovered)
+   * @param {Function} handler - async (text) => void
+   */
+  setHealthAlertHandler(handler) {
+    this.onHealthAlertCallback = handler;
+  }
+
+  /**
+   * Use a server-synced clock for candle close checks
+   * @param {Object} clock - { now() }
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Record raw messages (and the cached history of each new stream) to a recording
+   * @param {MarketDataRecorder|null} recorder
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
+  /**
+   * Subscribe to kline streams for multiple symbols and timeframes
+   * @param {Array<string>} symbols - Array of symbols to subscribe
+   * @param {Array<string>} timeframes - Array of timeframes to subscribe
+   * @param {Function} onCandleClosed - Callback when a candle closes
+   * @param {Function} onIntrabarUpdate - Optional callback for forming candle updates
+   */
+  connect(symbols, timeframes, onCandleClosed, onIntrabarUpdate = null) {
+    this.onCandleClosedCallback = onCandleClosed;
+    this.onIntrabarUpdateCallback = onIntrabarUpdate;
+
+    const pairs = [];
+    for (const symbol of symbols) {
+      for (const tf of timeframes) {
+        pairs.push({ symbol, timeframe: tf });
+      }
+    }
+
+    console.log(`[WS] Connecting to Binance WebSocket...`);
+    console.log(`[WS] Subscribing to ${pairs.length} streams`);
+
+    this.addStreams(pairs);
+    this.startWatchdog();
+  }
+
+  /**
+   * Add kline streams without reconnecting: fill connections that have room (SUBSCRIBE),
+   * and open new connections for the rest
+   * @param {Array<{symbol: string, timeframe: string}>} pairs
+   * @returns {number} Number of streams added
+   */
+  addStreams(pairs) {
+    const added = pairs.filter((p) => !this.streamConnections.has(streamName(p.symbol, p.timeframe)));
+    let pending = added.map((p) => streamName(p.symbol, p.timeframe));
+    const max = this.config.maxStreamsPerConnection;
+
+    for (const connection of this.connections) {
+      if (pending.length === 0) break;
+      const room = max - connection.streams.size;
+      if (room <= 0) continue;
+
+      const names = pending.slice(0, room);
+      pending = pending.slice(room);
+      connection.addStreams(names);
+      for (const name of names) this.streamConnections.set(name, connection);
+    }
+
+    while (pending.length > 0) {
+      const names = pending.slice(0, max);
+      pending = pending.slice(max);
+      const connection = this.createConnection(names);
+      for (const name of names) this.streamConnections.set(name, connection);
+      connection.open();
+    }
+
+    this.streams.push(...added);
+    if (this.recorder) {
+      for (const { symbol, timeframe } of added) {
+        this.recorder.recordSnapshot(symbol, timeframe, klinesCache.get(symbol, timeframe));
+      }
+    }
+    if (added.length > 0 && this.connections.length > 1) {
+      console.log(`[WS] ${this.streams.length} streams across ${this.connections.length} connections`);
+    }
+    return added.length;
+  }
+
+  /**
+   * Add kline streams for a symbol at runtime
+   * The cache for new pairs must be initialized by the caller first.
+   * @param {string} symbol
+   * @param {Array<string>} timeframes
+   * @returns {number} Number of streams added
+   */
+  subscribe(symbol, timeframes) {
+    const added = this.addStreams(timeframes.map((tf) => ({ symbol, timeframe: tf })));
+    if (added > 0) console.log(`[WS] Subscribed ${symbol} ${timeframes.join(', ')}`);
+    return added;
+  }
+
+  /**
+   * Remove kline streams (UNSUBSCRIBE); connections left without streams are closed
+   * @param {string} symbol
+   * @param {Array<string>|null} timeframes - null removes every timeframe of the symbol
+   * @returns {number} Number of streams removed
+   */
+  unsubscribe(symbol, timeframes = null) {
+    const removed = this.streams.filter(
+      (s) => s.symbol === symbol && (!timeframes || timeframes.includes(s.timeframe))
+    );
+    if (removed.length === 0) return 0;
+
+    this.streams = this.streams.filter((s) => !removed.includes(s));
+
+    // Group by connection so each gets a single UNSUBSCRIBE
+    const byConnection = new Map();
+    for (const { timeframe } of removed) {
+      const name = streamName(symbol, timeframe);
+      const connection = this.streamConnections.get(name);
+      this.streamConnections.delete(name);
+      this.degraded.delete(`${symbol}_${timeframe}`);
+      this.closedThrough.delete(`${symbol}_${timeframe}`);
+      this.missedCloseDue.delete(`${symbol}_${timeframe}`);
+      if (!byConnection.has(connection)) byConnection.set(connection, []);
+      byConnection.get(connection).push(name);
+    }
+
+    for (const [connection, names] of byConnection) {
+      connection.removeStreams(names);
+      if (connection.streams.size === 0) {
+        console.log(`[WS] #${connection.id} has no streams left, closing`);
+        connection.close();
+        this.connections = this.connections.filter((c) => c !== connection);
+        this.degraded.delete(`connection:${connection.id}`);
+      }
+    }
+
+    console.log(`[WS] Unsubscribed ${symbol} ${removed.map((s) => s.timeframe).join(', ')}`);
+    return removed.length;
+  }
+
+  createConnection(names) {
+    const connection = new WsConnection(this.nextConnectionId++, names, {
+      onMessage: (message) => {
+        if (this.recorder) this.recorder.recordMessage(message);
+        this.handleMessage(message);
+      },
+      onOpen: (c) => {
+        this.clearDegraded(`connection:${c.id}`, `WebSocket #${c.id} reconnected`);
+      },
+      onReconnecting: (c) => {
+        if (c.reconnectAttempts === this.config.alertAfterAttempts) {
+          this.markDegraded(
+            `connection:${c.id}`,
+            `WebSocket #${c.id} disconnected, ${c.reconnectAttempts} reconnect attempts failed (still retrying)`
+          );
+        }
+      }
+    });
+    this.connections.push(connection);
+    return connection;
+  }
+
+  /**
+   * Handle a combined-stream message ({ stream, data })
+   */
+  handleMessage(message) {
+    if (message.stream && message.data) {
+      this.handleKlineMessage(message.data);
+    }
+  }
+
+  /**
+   * Play a recording through the same message path as live sockets
+   * Snapshots seed the cache; gaps are not backfilled (no REST calls during replay)
+   * Resolves once every candle callback has finished, so the caller can close its stores
+   * @param {ReplaySource} source
+   * @param {Function} onCandleClosed - Same callback as connect()
+   * @param {Function} onIntrabarUpdate - Same callback as connect()
+   * @returns {Promise<number>} Number of messages played
+   */
+  async replay(source, onCandleClosed, onIntrabarUpdate = null) {
+    this.onCandleClosedCallback = onCandleClosed;
+    this.onIntrabarUpdateCallback = onIntrabarUpdate;
+    this.replaying = true;
+
+    try {
+      const played = await source.run({
+        onSnapshot: ({ symbol, timeframe, candles }) => {
+          klinesCache.init(symbol, timeframe, candles);
+          this.closedThrough.delete(`${symbol}_${timeframe}`);
+        },
+        onMessage: (message) => this.handleMessage(message)
+      });
+      await Promise.all([...this.backfills.values()]);
+      while (this.replayTasks.size > 0) {
+        await Promise.all([...this.replayTasks]);
+      }
+      return played;
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  /**
+   * Keep track of a callback started during a replay until it settles
+   */
+  trackReplayTask(task) {
+    if (!this.replaying) return;
+    const done = () => this.replayTasks.delete(task);
+    this.replayTasks.add(task);
+    task.then(done, done);
+  }
+
   /**
    * Handle incoming kline message
    */
@@ -92,7 +497,10 @@ class BinanceWebSocket {
     const k = data.k;
     const symbol = data.s;
     const timeframe = k.i;
-    
+
+    // Late messages for a stream that was just unsubscribed
+    if (!this.replaying && !this.streamConnections.has(streamName(symbol, timeframe))) return;
+
     const candle = {
       openTime: k.t,
       open: parseFloat(k.o),
@@ -109,75 +517,284 @@ class BinanceWebSocket {
     };
 
     if (k.x) {
-      // Closed candle
-      klinesCache.updateCandle(symbol, timeframe, candle);
-      console.log(`[WS] Closed candle: ${symbol} ${timeframe} @ ${candle.close}`);
-      
-      // Trigger closed candle callback
-      if (this.onCandleClosedCallback) {
-        this.onCandleClosedCallback(symbol, timeframe, candle);
+      // Closed candle: fill any gap first so the cache stays continuous
+      const streamKey = `${symbol}_${timeframe}`;
+      this.missedCloseDue.delete(streamKey);
+      const previous = this.backfills.get(streamKey);
+
+      if (this.replaying && this.hasGap(symbol, timeframe, candle)) {
+        console.warn(`[Replay] Gap before ${symbol} ${timeframe} @ ${candle.openTime}, not backfilled`);
+      } else if (previous || this.hasGap(symbol, timeframe, candle)) {
+        const task = (previous || Promise.resolve())
+          .then(() => this.backfillGap(symbol, timeframe, candle))
+          .catch((err) => {
+            console.error(`[WS] Backfill failed for ${symbol} ${timeframe}:`, err.message);
+          })
+          .then(() => this.emitClosedCandle(symbol, timeframe, candle))
+          .finally(() => {
+            if (this.backfills.get(streamKey) === task) this.backfills.delete(streamKey);
+          });
+        this.backfills.set(streamKey, task);
+        return;
       }
+
+      this.trackReplayTask(this.emitClosedCandle(symbol, timeframe, candle));
     } else {
       // Forming candle (intrabar update)
-      klinesCache.updateFormingCandle(symbol, timeframe, candle);
-      
+      const accepted = klinesCache.updateFormingCandle(symbol, timeframe, candle);
+
       // Trigger intrabar callback (if registered)
-      if (this.onIntrabarUpdateCallback) {
-        this.onIntrabarUpdateCallback(symbol, timeframe, candle);
+      if (accepted && this.onIntrabarUpdateCallback) {
+        this.trackReplayTask(Promise.resolve(this.onIntrabarUpdateCallback(symbol, timeframe, candle)));
       }
     }
   }
 
   /**
-   * Reconnect with exponential backoff
+   * Add a closed candle to the cache and trigger the closed candle callback
+   * Candles already processed (e.g. recovered over REST before the WS message) are skipped
+   * @param {Object} meta - { backfilled: true } for gap candles fetched over REST,
+   *   { recovered: true } for a missed close fetched over REST
    */
-  reconnect(symbols, timeframes, onCandleClosed, onIntrabarUpdate) {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error('[WS] Max reconnection attempts reached. Please restart the application.');
+  async emitClosedCandle(symbol, timeframe, candle, meta = {}) {
+    const key = `${symbol}_${timeframe}`;
+    if (candle.closeTime <= (this.closedThrough.get(key) || 0)) {
+      console.log(`[WS] Ignoring duplicate closed candle: ${symbol} ${timeframe} @ ${candle.openTime}`);
       return;
     }
 
-    this.reconnectAttempts++;
-    
-    console.log(`[WS] Reconnecting in ${this.reconnectDelay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
-    
-    setTimeout(() => {
-      this.connect(symbols, timeframes, onCandleClosed, onIntrabarUpdate);
-    }, this.reconnectDelay);
+    // Rejected candles leave the close missing, so REST recovery fetches it again;
+    // old candles are put in place but not analyzed
+    const result = klinesCache.updateCandle(symbol, timeframe, candle);
+    if (result !== 'appended' && result !== 'replaced') {
+      console.warn(`[WS] Closed candle ${result || 'not cached'}, not processed: ${symbol} ${timeframe} @ ${candle.openTime}`);
+      return;
+    }
+    this.closedThrough.set(key, candle.closeTime);
 
-    // Exponential backoff: double the delay, up to max
-    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+    // Pass on the sanitized candle
+    const cached = klinesCache.get(symbol, timeframe);
+    candle = cached[cached.length - 1];
+
+    const label = meta.backfilled ? ' (backfilled)' : meta.recovered ? ' (recovered)' : '';
+    console.log(`[WS] Closed candle${label}: ${symbol} ${timeframe} @ ${candle.close}`);
+
+    if (!meta.backfilled && !meta.recovered) {
+      this.clearDegraded(`${symbol}_${timeframe}`, `${symbol} ${timeframe} candle closes received again`);
+    }
+
+    if (this.onCandleClosedCallback) {
+      try {
+        await this.onCandleClosedCallback(symbol, timeframe, candle, meta);
+      } catch (err) {
+        console.error(`[WS] Error in candle closed callback for ${symbol} ${timeframe}:`, err.message);
+      }
+    }
   }
 
   /**
-   * Start ping interval to keep connection alive
+   * Whether candles are missing between the last cached candle and this one
    */
-  startPing() {
-    this.pingInterval = setInterval(() => {
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.ping();
-      }
-    }, 30000); // Ping every 30 seconds
+  hasGap(symbol, timeframe, candle) {
+    const candles = klinesCache.get(symbol, timeframe);
+    if (candles.length === 0) return false;
+
+    // Next open after the last cached candle (calendar months for 1M, Mondays for 1w)
+    const last = candles[candles.length - 1];
+    return candle.openTime > candleOpenTime(timeframe, last.openTime, -1);
   }
 
   /**
-   * Stop ping interval
+   * Fetch candles missing before this one over REST and emit them in order
+   * Backfilled candles are passed to the callback with { backfilled: true }
    */
-  stopPing() {
-    if (this.pingInterval) {
-      clearInterval(this.pingInterval);
-      this.pingInterval = null;
+  async backfillGap(symbol, timeframe, candle) {
+    if (!this.hasGap(symbol, timeframe, candle)) return;
+
+    const candles = klinesCache.get(symbol, timeframe);
+    const startTime = candleOpenTime(timeframe, candles[candles.length - 1].openTime, -1);
+    let missingCount = 0;
+    for (let open = startTime; open < candle.openTime; open = candleOpenTime(timeframe, open, -1)) {
+      missingCount++;
+    }
+
+    console.warn(`[WS] Gap detected: ${symbol} ${timeframe} missing ${missingCount} candles, backfilling via REST...`);
+
+    const missing = await fetchKlinesPaged(symbol, timeframe, startTime, candle.openTime - 1);
+
+    for (const c of missing) {
+      if (c.openTime >= candle.openTime) break;
+      await this.emitClosedCandle(symbol, timeframe, c, { backfilled: true });
+    }
+
+    console.log(`[WS] Backfilled ${missing.length}/${missingCount} candles for ${symbol} ${timeframe}`);
+  }
+
+  /**
+   * Close time of the last closed candle processed for a stream
+   * Before the first close, taken from the cache (whose last candle may still be forming)
+   * @returns {number|null} Null while the cache is empty
+   */
+  getClosedThrough(symbol, timeframe, serverNow) {
+    const key = `${symbol}_${timeframe}`;
+    if (this.closedThrough.has(key)) return this.closedThrough.get(key);
+
+    const closed = klinesCache.get(symbol, timeframe).filter((c) => c.closeTime < serverNow);
+    if (closed.length === 0) return null;
+
+    const closeTime = closed[closed.length - 1].closeTime;
+    this.closedThrough.set(key, closeTime);
+    return closeTime;
+  }
+
+  /**
+   * Fetch closes the WebSocket missed over REST, on the stream's backfill chain
+   * Older missed candles are emitted as backfilled, the latest as recovered so it is analyzed
+   * @returns {Promise<void>}
+   */
+  recoverMissedCloses(symbol, timeframe) {
+    const key = `${symbol}_${timeframe}`;
+    const task = (this.backfills.get(key) || Promise.resolve())
+      .then(async () => {
+        const serverNow = this.clock.now();
+        const from = this.getClosedThrough(symbol, timeframe, serverNow);
+        if (from === null) return;
+
+        const missed = (await fetchKlinesPaged(symbol, timeframe, from + 1, serverNow))
+          .filter((c) => c.closeTime < this.clock.now());
+        if (missed.length === 0) {
+          console.warn(`[WS] ${symbol} ${timeframe}: missed close not available over REST yet`);
+          return;
+        }
+
+        console.warn(`[WS] ${symbol} ${timeframe}: ${missed.length} candle close(s) missed by WebSocket, recovering via REST`);
+        for (let i = 0; i < missed.length; i++) {
+          const meta = i === missed.length - 1 ? { recovered: true } : { backfilled: true };
+          await this.emitClosedCandle(symbol, timeframe, missed[i], meta);
+        }
+
+        // The socket may only be late: checkHealth() reconnects once the grace period has passed
+        if (!this.missedCloseDue.has(key)) this.missedCloseDue.set(key, missed[0].closeTime);
+      })
+      .catch((err) => {
+        console.error(`[WS] Close recovery failed for ${symbol} ${timeframe}:`, err.message);
+      })
+      .finally(() => {
+        if (this.backfills.get(key) === task) this.backfills.delete(key);
+      });
+    this.backfills.set(key, task);
+    return task;
+  }
+
+  /**
+   * Watchdog: detect silent stalls the sockets themselves don't report
+   */
+  startWatchdog() {
+    this.stopWatchdog();
+    this.watchdogInterval = setInterval(() => this.checkHealth(), WATCHDOG_INTERVAL_MS);
+  }
+
+  stopWatchdog() {
+    if (this.watchdogInterval) {
+      clearInterval(this.watchdogInterval);
+      this.watchdogInterval = null;
+    }
+  }
+
+  /**
+   * Recover candle closes that are closeRecoveryMs overdue over REST (connected or not).
+   * Force a reconnect when a connection received no message for staleTimeoutMs, or when a
+   * stream missed a candle close that was due. A stalled stream triggers one reconnect of
+   * its connection and stays degraded until its next close arrives.
+   * @param {number} now - Local time in milliseconds (message silence)
+   * @param {number} serverNow - Server-synced time in milliseconds (candle closes)
+   */
+  checkHealth(now = Date.now(), serverNow = this.clock.now()) {
+    const reconnecting = new Set();
+
+    for (const connection of this.connections) {
+      if (!connection.isConnected) continue;
+
+      const silentMs = now - connection.lastMessageAt;
+      if (silentMs > this.config.staleTimeoutMs) {
+        const reason = `no WebSocket messages for ${Math.round(silentMs / 1000)}s`;
+        this.markDegraded(`connection:${connection.id}`, `WebSocket #${connection.id} stalled: ${reason}, reconnecting`);
+        connection.forceReconnect(reason);
+        reconnecting.add(connection);
+      }
+    }
+
+    for (const { symbol, timeframe } of this.streams) {
+      const key = `${symbol}_${timeframe}`;
+      if (this.backfills.has(key)) continue;
+
+      const closedThrough = this.getClosedThrough(symbol, timeframe, serverNow);
+      if (closedThrough === null) continue;
+
+      // The candle after the last closed one was due to close at this time (calendar months for 1M)
+      const dueAt = candleOpenTime(timeframe, closedThrough + 1, -1) - 1;
+      if (serverNow > dueAt + this.config.closeRecoveryMs) {
+        this.recoverMissedCloses(symbol, timeframe);
+      }
+
+      const connection = this.streamConnections.get(streamName(symbol, timeframe));
+      if (!connection.isConnected || reconnecting.has(connection)) continue;
+      if (this.degraded.has(key)) continue;
+
+      // A close recovered over REST still counts as missed by the WebSocket
+      const missedDueAt = this.missedCloseDue.has(key) ? this.missedCloseDue.get(key) : dueAt;
+      if (serverNow > missedDueAt + this.config.closeGraceMs) {
+        const lateSec = Math.round((serverNow - missedDueAt) / 1000);
+        this.markDegraded(key, `${symbol} ${timeframe}: candle close is ${lateSec}s overdue, reconnecting`);
+        connection.forceReconnect(`${symbol} ${timeframe} missed a candle close`);
+        reconnecting.add(connection);
+      }
     }
   }
 
   /**
-   * Close WebSocket connection
+   * Mark a health key degraded and alert (once per episode)
+   */
+  markDegraded(key, reason) {
+    if (this.degraded.has(key)) return;
+    this.degraded.set(key, reason);
+    console.warn(`[WS] Degraded: ${reason}`);
+    this.sendHealthAlert(`⚠️ <b>PA-Bot degraded</b>\n${reason}`);
+  }
+
+  /**
+   * Clear a degraded health key and alert recovery
+   */
+  clearDegraded(key, message) {
+    if (!this.degraded.has(key)) return;
+    this.degraded.delete(key);
+    console.log(`[WS] Recovered: ${message}`);
+    this.sendHealthAlert(`✅ <b>PA-Bot recovered</b>\n${message}`);
+  }
+
+  /**
+   * Current degraded reasons (for status reporting)
+   * @returns {string[]}
+   */
+  getDegraded() {
+    return [...this.degraded.values()];
+  }
+
+  sendHealthAlert(text) {
+    if (!this.onHealthAlertCallback) return;
+    Promise.resolve()
+      .then(() => this.onHealthAlertCallback(text))
+      .catch((err) => console.error('[WS] Error sending health alert:', err.message));
+  }
+
+  /**
+   * Close all WebSocket connections
    */
   close() {
-    console.log('[WS] Closing WebSocket connection');
-    this.stopPing();
-    if (this.ws) {
-      this.ws.close();
+    console.log('[WS] Closing WebSocket connections');
+    this.stopWatchdog();
+    for (const connection of this.connections) {
+      connection.close();
     }
   }
 }
@@ -1,18 +1,36 @@
 require('dotenv').config();
 
-const { validateSymbols } = require('./binance/exchangeInfo');
+const { fetchExchangeInfo, getSymbolStatuses, validateSymbols } = require('./binance/exchangeInfo');
 const { fetchKlines } = require('./binance/rest');
+const { loadRecentKlines } = require('./binance/history');
 const klinesCache = require('./binance/klinesCache');
+const candleValidator = require('./binance/candleValidator');
 const binanceWS = require('./binance/ws');
 const { initDatabase, cleanupExpiredCooldowns } = require('./store/db');
-const { initTelegram, testConnection, sendMessage } = require('./notify/telegram');
+const { initCandleStore, closeCandleStore, saveClosedCandle } = require('./store/candles');
+const { cleanupOldCandidates } = require('./store/candidates');
+const { getOpenOutcomes } = require('./store/outcomes');
+const { initTelegram, testConnection, sendMessage, sendAdminAlert, stopTelegram } = require('./notify/telegram');
+const { startCommands } = require('./notify/commands');
 const SignalEngine = require('./app/engine');
+const SignalTracker = require('./app/tracker');
+const RuntimeControls = require('./app/controls');
+const ServerTimeSync = require('./app/timeSync');
+const { MarketDataRecorder, recordingPath } = require('./binance/recorder');
+const { parseUniverseSpec, getUniverseConfig, isEligible, selectUniverse } = require('./app/universe');
 
 class PABot {
   constructor() {
     this.symbols = [];
     this.timeframes = [];
     this.engine = null;
+    this.tracker = null;
+    this.controls = null;
+    this.timeSync = null;
+    this.recorder = null;
+    // Watchlist changes run one at a time (see updateWatchlist)
+    this.watchlistQueue = Promise.resolve();
+    this.startedAt = Date.now();
   }
 
   async init() {
@@ -25,10 +43,15 @@ class PABot {
       this.loadConfig();
 
       initDatabase();
-      cleanupExpiredCooldowns();
+      if (this.klineStoreEnabled) initCandleStore();
 
       initTelegram();
 
+      // Server time first: cooldowns, signal timestamps and stall checks all use it
+      this.timeSync = new ServerTimeSync({}, { onDriftAlert: sendAdminAlert });
+      await this.timeSync.start();
+      cleanupExpiredCooldowns(this.timeSync.now());
+
       const testConnectionEnabled = process.env.TELEGRAM_SEND_CONNECTION_TEST === 'true';
       if (testConnectionEnabled) {
         await testConnection();
@@ -36,18 +59,41 @@ class PABot {
         console.log('[Init] Telegram connection test disabled (TELEGRAM_SEND_CONNECTION_TEST not set to true)');
       }
 
-      console.log('[Init] Validating symbols...');
-      this.symbols = await validateSymbols(this.rawSymbols);
-      console.log('[Init] Validated symbols:', this.symbols.join(', '));
+      if (this.universe) {
+        console.log(`[Init] Selecting top ${this.universe.top} symbols by 24h quote volume...`);
+        this.symbols = await selectUniverse(this.universe.top, this.universeConfig);
+        console.log('[Init] Selected symbols:', this.symbols.join(', '));
+      } else {
+        console.log('[Init] Validating symbols...');
+        this.symbols = await validateSymbols(this.rawSymbols);
+        console.log('[Init] Validated symbols:', this.symbols.join(', '));
+      }
       if (this.symbols.length === 0) throw new Error('No valid symbols to monitor');
 
-      this.engine = new SignalEngine();
+      if (this.trackingEnabled) {
+        this.tracker = new SignalTracker({}, { clock: this.timeSync });
+      }
+      this.engine = new SignalEngine({}, { tracker: this.tracker, clock: this.timeSync });
+      this.controls = new RuntimeControls(this.engine);
+      this.controls.load();
 
       await this.fetchInitialData();
 
       this.connectWebSocket();
 
       this.setupCleanup();
+      this.setupUniverseRefresh();
+      this.setupExchangeInfoRefresh();
+
+      startCommands({
+        getStatus: () => this.getStatus(),
+        controls: this.controls,
+        clock: this.timeSync,
+        watchlist: {
+          add: (symbol) => this.addSymbol(symbol),
+          remove: (symbol) => this.removeSymbol(symbol)
+        }
+      });
 
       const startupNotificationEnabled = process.env.TELEGRAM_SEND_STARTUP === 'true';
       if (startupNotificationEnabled) {
@@ -70,14 +116,26 @@ class PABot {
 
   loadConfig() {
     const symbolsEnv = process.env.SYMBOLS || 'BTCUSDT,ETHUSDT';
-    this.rawSymbols = symbolsEnv.split(',').map((s) => s.trim()).filter((s) => s);
+    this.universe = parseUniverseSpec(symbolsEnv);
+    this.universeConfig = getUniverseConfig();
+    this.rawSymbols = this.universe ? [] : symbolsEnv.split(',').map((s) => s.trim()).filter((s) => s);
 
     const timeframesEnv = process.env.TIMEFRAMES || '1d,4h,1h';
     this.timeframes = timeframesEnv.split(',').map((tf) => tf.trim()).filter((tf) => tf);
 
-    console.log('[Config] Symbols:', this.rawSymbols.join(', '));
+    if (this.universe) {
+      console.log(`[Config] Symbols: auto (top ${this.universe.top} by 24h quote volume, refresh every ${this.universeConfig.refreshHours}h)`);
+    } else {
+      console.log('[Config] Symbols:', this.rawSymbols.join(', '));
+    }
     console.log('[Config] Timeframes:', this.timeframes.join(', '));
+    this.historyCandles = parseInt(process.env.KLINE_HISTORY_CANDLES) || 500;
+    this.klineStoreEnabled = (process.env.KLINE_STORE_ENABLED || 'true') === 'true';
+    console.log('[Config] KLINE_STORE_ENABLED:', this.klineStoreEnabled ? `YES (${this.historyCandles} candles)` : 'NO');
+    this.trackingEnabled = (process.env.SIGNAL_TRACKING_ENABLED || 'true') === 'true';
+
     console.log('[Config] DRY_RUN:', process.env.DRY_RUN === 'true' ? 'YES' : 'NO');
+    console.log('[Config] SIGNAL_TRACKING_ENABLED:', this.trackingEnabled ? 'YES' : 'NO');
 
     // ENTRY-only defaults (informational)
     console.log('[Config] SIGNAL_STAGE_ENABLED:', process.env.SIGNAL_STAGE_ENABLED || 'entry');
@@ -92,10 +150,9 @@ class PABot {
       for (const timeframe of this.timeframes) {
         try {
           console.log(`[Init] Fetching ${symbol} ${timeframe}...`);
-          const klines = await fetchKlines(symbol, timeframe, 500);
+          const klines = await this.loadHistory(symbol, timeframe);
           klinesCache.init(symbol, timeframe, klines);
           console.log(`[Init] ✓ ${symbol} ${timeframe}: ${klines.length} candles`);
-          await new Promise((resolve) => setTimeout(resolve, 100));
         } catch (err) {
           console.error(`[Init] ✗ Failed to fetch ${symbol} ${timeframe}:`, err.message);
         }
@@ -105,34 +162,267 @@ class PABot {
     console.log('[Init] Initial data fetch complete');
   }
 
+  /**
+   * Recent closed candles for a stream: from the candle store plus a delta download,
+   * or a plain REST fetch when the store is disabled
+   */
+  async loadHistory(symbol, timeframe) {
+    if (this.klineStoreEnabled) {
+      return loadRecentKlines(symbol, timeframe, this.historyCandles, this.timeSync.now());
+    }
+    // The latest kline is still forming: keep closed candles only
+    const klines = await fetchKlines(symbol, timeframe, Math.min(this.historyCandles, 1500));
+    const now = this.timeSync.now();
+    return klines.filter((c) => c.closeTime < now);
+  }
+
+  /**
+   * Write a closed candle through to the candle store
+   * A failed write is logged; it never blocks analysis (the next startup re-downloads the gap)
+   */
+  persistCandle(symbol, timeframe, candle) {
+    if (!this.klineStoreEnabled) return;
+    try {
+      saveClosedCandle(symbol, timeframe, candle);
+    } catch (err) {
+      console.error(`[Candles] Failed to store ${symbol} ${timeframe} candle:`, err.message);
+    }
+  }
+
   connectWebSocket() {
     console.log('[Init] Connecting to Binance WebSocket...');
 
+    // ENTRY-only: intrabar updates are only used by the tracker, and only when enabled
+    const trackFormingCandles = this.tracker && this.tracker.config.useFormingCandles;
+
+    binanceWS.setHealthAlertHandler(sendAdminAlert);
+    binanceWS.setClock(this.timeSync);
+
+    // Optional raw message recording for offline replay (scripts/replay.js)
+    if (process.env.WS_RECORD_DIR) {
+      this.recorder = new MarketDataRecorder(recordingPath(process.env.WS_RECORD_DIR));
+      binanceWS.setRecorder(this.recorder);
+    }
+
     binanceWS.connect(
       this.symbols,
       this.timeframes,
-      (symbol, timeframe, candle) => {
-        this.engine.onCandleClosed(symbol, timeframe, candle);
+      // Tracker sees every candle (including backfilled and recovered), engine applies GAP_POLICY to backfilled ones
+      async (symbol, timeframe, candle, meta) => {
+        this.persistCandle(symbol, timeframe, candle);
+        await this.engine.onCandleClosed(symbol, timeframe, candle, meta);
+        if (this.tracker) await this.tracker.onCandleClosed(symbol, timeframe, candle);
       },
-      // ENTRY-only: ignore intrabar callback to reduce CPU/network on VPS
-      null
+      trackFormingCandles
+        ? (symbol, timeframe, candle) => this.tracker.onIntrabarUpdate(symbol, timeframe, candle)
+        : null
     );
   }
 
+  /**
+   * Queue a watchlist change behind the ones in progress
+   * /watch, /unwatch, universe and exchangeInfo refreshes can overlap while history loads;
+   * running them in order keeps the "already watched" checks valid
+   * @param {Function} change - async () => result
+   * @returns {Promise<*>} Result of the change
+   */
+  updateWatchlist(change) {
+    const run = this.watchlistQueue.then(change);
+    this.watchlistQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Start watching a symbol at runtime: warm up its cache, then subscribe on the open connection
+   * @param {string} rawSymbol
+   * @param {boolean} validate - Skip for symbols that were just selected from exchangeInfo
+   * @returns {Promise<string>} Normalized symbol
+   */
+  addSymbol(rawSymbol, validate = true) {
+    return this.updateWatchlist(async () => {
+      const [symbol] = validate ? await validateSymbols([rawSymbol]) : [rawSymbol];
+      if (!symbol) throw new Error(`${rawSymbol} not found or not trading`);
+      if (this.symbols.includes(symbol)) return symbol;
+
+      for (const timeframe of this.timeframes) {
+        const klines = await this.loadHistory(symbol, timeframe);
+        klinesCache.init(symbol, timeframe, klines);
+      }
+
+      this.symbols.push(symbol);
+      binanceWS.subscribe(symbol, this.timeframes);
+      console.log(`[Watchlist] Added ${symbol}`);
+      return symbol;
+    });
+  }
+
+  /**
+   * Stop watching a symbol at runtime
+   * @param {string} symbol
+   * @returns {Promise<boolean>} False if the symbol was not watched
+   */
+  removeSymbol(symbol) {
+    return this.updateWatchlist(async () => {
+      if (!this.symbols.includes(symbol)) return false;
+
+      binanceWS.unsubscribe(symbol);
+      klinesCache.remove(symbol);
+      this.symbols = this.symbols.filter((s) => s !== symbol);
+      console.log(`[Watchlist] Removed ${symbol}`);
+      return true;
+    });
+  }
+
+  setupUniverseRefresh() {
+    if (!this.universe) return;
+
+    setInterval(() => this.refreshUniverse(), this.universeConfig.refreshHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Re-rank the universe and subscribe/unsubscribe the difference
+   * Symbols with open tracked signals are kept until those signals close
+   */
+  async refreshUniverse() {
+    try {
+      const selected = await selectUniverse(this.universe.top, this.universeConfig);
+      const added = selected.filter((s) => !this.symbols.includes(s));
+      const dropped = this.symbols.filter((s) => !selected.includes(s));
+
+      for (const symbol of added) {
+        try {
+          await this.addSymbol(symbol, false);
+        } catch (err) {
+          console.error(`[Universe] Failed to add ${symbol}:`, err.message);
+        }
+      }
+
+      const removed = [];
+      for (const symbol of dropped) {
+        if (this.tracker && getOpenOutcomes(symbol).length > 0) {
+          console.log(`[Universe] Keeping ${symbol} until its open signals close`);
+          continue;
+        }
+        if (await this.removeSymbol(symbol)) removed.push(symbol);
+      }
+
+      if (added.length > 0 || removed.length > 0) {
+        console.log(`[Universe] Refreshed: +${added.join(', ') || '-'} / -${removed.join(', ') || '-'}`);
+      } else {
+        console.log('[Universe] Refreshed: no changes');
+      }
+    } catch (err) {
+      console.error('[Universe] Refresh failed:', err.message);
+    }
+  }
+
+  setupExchangeInfoRefresh() {
+    const minutes = parseInt(process.env.EXCHANGE_INFO_REFRESH_MINUTES) || 60;
+    setInterval(() => this.refreshExchangeInfo(), minutes * 60 * 1000);
+  }
+
+  /**
+   * Re-fetch exchangeInfo (also refreshes tick sizes), drop watched symbols that stopped
+   * TRADING or were delisted, and report new listings to the admin chat
+   * New listings matching the universe rules are added when EXCHANGE_AUTO_ADD_LISTINGS=true
+   */
+  async refreshExchangeInfo() {
+    try {
+      const previous = getSymbolStatuses();
+      const exchangeInfo = await fetchExchangeInfo();
+      const current = getSymbolStatuses();
+
+      const alerts = [];
+
+      for (const symbol of [...this.symbols]) {
+        const status = current.get(symbol) || 'DELISTED';
+        if (status === 'TRADING') continue;
+
+        const openSignals = this.tracker ? getOpenOutcomes(symbol).length : 0;
+        console.warn(`[ExchangeInfo] ${symbol} is ${status}, removing from watchlist`);
+        if (!(await this.removeSymbol(symbol))) continue;
+        alerts.push(
+          `⛔ ${symbol}: ${previous.get(symbol) || 'TRADING'} → ${status}, removed from watchlist` +
+          (openSignals > 0 ? ` (${openSignals} open signals no longer tracked)` : '')
+        );
+      }
+
+      const listed = exchangeInfo.symbols.filter(
+        (s) => s.status === 'TRADING' && previous.size > 0 && previous.get(s.symbol) !== 'TRADING'
+      );
+      if (listed.length > 0) {
+        alerts.push(`🆕 New TRADING contracts: ${listed.map((s) => s.symbol).join(', ')}`);
+      }
+
+      if (process.env.EXCHANGE_AUTO_ADD_LISTINGS === 'true') {
+        for (const s of listed.filter((l) => isEligible(l, this.universeConfig))) {
+          try {
+            await this.addSymbol(s.symbol, false);
+            alerts.push(`➕ ${s.symbol} added to watchlist`);
+          } catch (err) {
+            console.error(`[ExchangeInfo] Failed to add ${s.symbol}:`, err.message);
+          }
+        }
+      }
+
+      if (alerts.length > 0) {
+        await sendAdminAlert(`📋 <b>Exchange info update</b>\n${alerts.join('\n')}`);
+      }
+    } catch (err) {
+      // Filters and statuses from the last successful fetch stay cached
+      console.error('[ExchangeInfo] Refresh failed:', err.message);
+      await sendAdminAlert(`⚠️ <b>Exchange info refresh failed</b>\n${err.message}\nKeeping the last known trading rules`);
+    }
+  }
+
   setupCleanup() {
     setInterval(() => {
       console.log('[Cleanup] Running periodic cleanup...');
-      cleanupExpiredCooldowns();
+      cleanupExpiredCooldowns(this.timeSync.now());
+      cleanupOldCandidates(parseInt(process.env.CANDIDATE_RETENTION_DAYS) || 90, this.timeSync.now());
     }, 60 * 60 * 1000);
   }
 
+  /**
+   * Runtime status for the /status command
+   */
+  getStatus() {
+    const lastCandles = [];
+    for (const symbol of this.symbols) {
+      for (const timeframe of this.timeframes) {
+        const candles = klinesCache.get(symbol, timeframe);
+        const last = candles[candles.length - 1];
+        lastCandles.push({
+          symbol,
+          timeframe,
+          closeTime: last ? last.closeTime : null,
+          close: last ? last.close : null
+        });
+      }
+    }
+
+    return {
+      startedAt: this.startedAt,
+      symbols: this.symbols,
+      timeframes: this.timeframes,
+      ws: {
+        connected: binanceWS.isConnected,
+        streams: binanceWS.subscriptions.length,
+        connections: binanceWS.connections.length,
+        degraded: binanceWS.getDegraded()
+      },
+      anomalies: candleValidator.getAnomalies(),
+      lastCandles
+    };
+  }
+
   async sendStartupNotification() {
     const message =
       `🚀 <b>PA-Bot Started</b>\n\n` +
       `Monitoring: ${this.symbols.length} symbols\n` +
       `Timeframes: ${this.timeframes.join(', ')}\n` +
       `ENTRY Timeframes: ${process.env.ENTRY_TIMEFRAMES || '1h'}\n` +
-      `Min Score: ${process.env.ENTRY_SCORE_THRESHOLD || process.env.MIN_SIGNAL_SCORE || 70}\n` +
+      `Min Score: ${this.engine.config.entryScoreThreshold}\n` +
       `Cooldown: ${process.env.SIGNAL_COOLDOWN_MINUTES || 60}m`;
 
     await sendMessage(message);
@@ -142,8 +432,12 @@ class PABot {
     console.log('\n[Shutdown] Shutting down PA-Bot...');
     try {
       binanceWS.close();
+      if (this.timeSync) this.timeSync.stop();
+      if (this.recorder) await this.recorder.close();
+      await stopTelegram();
       const { closeDatabase } = require('./store/db');
       closeDatabase();
+      closeCandleStore();
       console.log('[Shutdown] ✓ Shutdown complete');
       process.exit(0);
     } catch (err) {
@@ -153,21 +447,26 @@ class PABot {
   }
 }
 
-const bot = new PABot();
+// Run if called directly
+if (require.main === module) {
+  const bot = new PABot();
 
-process.on('SIGINT', () => bot.shutdown());
-process.on('SIGTERM', () => bot.shutdown());
+  process.on('SIGINT', () => bot.shutdown());
+  process.on('SIGTERM', () => bot.shutdown());
 
-process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
-  bot.shutdown();
-});
+  process.on('uncaughtException', (err) => {
+    console.error('Uncaught Exception:', err);
+    bot.shutdown();
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  });
+
+  bot.init().catch((err) => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
 
-bot.init().catch((err) => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+module.exports = { PABot };
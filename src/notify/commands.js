@@ -0,0 +1,393 @@
+const { getBot, getChatIds } = require('./telegram');
+const { escapeHtml, formatNumber, formatTime } = require('./format');
+const { getRecentSignals, getSignalsBySymbol, getSignalStats } = require('../store/signals');
+const { getOutcome } = require('../store/outcomes');
+const { getActiveCooldowns } = require('../store/cooldown');
+
+/**
+ * Telegram command interface (opt-in via TELEGRAM_COMMANDS_ENABLED=true)
+ * Read-only commands are answered in the configured chats (TELEGRAM_CHAT_ID / TELEGRAM_GROUP_ID)
+ * and to admins anywhere; admin commands only to user IDs in TELEGRAM_ADMIN_IDS
+ */
+
+const MAX_MESSAGE_LENGTH = 4000; // Telegram limit is 4096
+const SIGNALS_LIMIT = 10;
+const ANOMALIES_LIMIT = 5;
+
+function formatDuration(ms) {
+  const totalMinutes = Math.floor(ms / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}d${hours}h`;
+  if (hours > 0) return `${hours}h${minutes}m`;
+  return `${minutes}m`;
+}
+
+function formatPerformance(p) {
+  return `${p.trades} lệnh | WR ${p.winRate}% | TB ${p.avgR}R (+${p.avgWinR ?? '0.00'} / ${p.avgLossR ?? '0.00'})`;
+}
+
+/**
+ * /status - symbols, WS state, last candle per stream
+ */
+function handleStatus(args, context) {
+  const status = context.getStatus();
+
+  let msg = `📡 <b>Trạng thái PA-Bot</b>\n`;
+  msg += `Thời gian chạy: ${formatDuration(Date.now() - status.startedAt)}\n`;
+  msg += `WS: ${status.ws.connected ? '🟢 đã kết nối' : '🔴 mất kết nối'} (${status.ws.streams} stream, ${status.ws.connections} kết nối)\n`;
+  for (const reason of status.ws.degraded || []) {
+    msg += `⚠️ ${escapeHtml(reason)}\n`;
+  }
+  msg += `Symbol: ${escapeHtml(status.symbols.join(', '))}\n`;
+  msg += `Khung thời gian: ${escapeHtml(status.timeframes.join(', '))}\n`;
+  if (context.controls) {
+    const state = context.controls.getState();
+    msg += `Tín hiệu: ${state.paused ? '⏸️ tạm dừng' : '▶️ đang chạy'} | Điểm tối thiểu: ${state.entryScoreThreshold}\n`;
+    if (state.mutes.length > 0) msg += `Đang mute: ${escapeHtml(state.mutes.join(', '))}\n`;
+  }
+  msg += `\n`;
+
+  if (status.anomalies && status.anomalies.length > 0) {
+    msg += `<b>Nến bất thường</b>\n`;
+    for (const a of status.anomalies.slice(0, ANOMALIES_LIMIT)) {
+      const counts = Object.entries(a.counts).map(([type, n]) => `${type} ${n}`).join(', ');
+      msg += `${escapeHtml(a.symbol)} ${escapeHtml(a.timeframe)}: ${escapeHtml(counts)}\n`;
+    }
+    msg += `\n`;
+  }
+
+  msg += `<b>Nến đóng gần nhất</b>\n`;
+  for (const c of status.lastCandles) {
+    if (!c.closeTime) {
+      msg += `${escapeHtml(c.symbol)} ${escapeHtml(c.timeframe)}: --\n`;
+      continue;
+    }
+    msg += `${escapeHtml(c.symbol)} ${escapeHtml(c.timeframe)}: ${escapeHtml(formatTime(c.closeTime))} @ <code>${escapeHtml(c.close)}</code>\n`;
+  }
+
+  return msg;
+}
+
+/**
+ * /signals [symbol] - recent signals with their tracked status
+ */
+function handleSignals(args) {
+  const symbol = args[0] ? args[0].toUpperCase() : null;
+  const signals = symbol ? getSignalsBySymbol(symbol, SIGNALS_LIMIT) : getRecentSignals(SIGNALS_LIMIT);
+
+  if (signals.length === 0) {
+    return symbol ? `Chưa có tín hiệu cho ${escapeHtml(symbol)}` : 'Chưa có tín hiệu nào';
+  }
+
+  let msg = `📋 <b>Tín hiệu gần đây${symbol ? ` | ${escapeHtml(symbol)}` : ''}</b>\n\n`;
+  for (const s of signals) {
+    const sideEmoji = s.side === 'LONG' ? '🟢' : '🔴';
+    const outcome = getOutcome(s.id);
+    msg += `${sideEmoji} <b>#${s.id} ${escapeHtml(s.symbol)} ${escapeHtml(String(s.timeframe).toUpperCase())} ${escapeHtml(s.side)}</b>`;
+    msg += ` | ${s.score}/100`;
+    if (outcome) {
+      msg += ` | ${escapeHtml(outcome.status)}`;
+      if (outcome.realized_r !== null) msg += ` ${outcome.realized_r >= 0 ? '+' : ''}${formatNumber(outcome.realized_r, 2)}R`;
+    }
+    msg += `\n   Entry <code>${s.entry}</code> | SL <code>${s.stop_loss}</code> | ${escapeHtml(formatTime(s.timestamp))}\n`;
+  }
+
+  return msg;
+}
+
+/**
+ * /stats - signal counts and tracked performance
+ */
+function handleStats() {
+  const stats = getSignalStats();
+
+  let msg = `📊 <b>Thống kê tín hiệu</b>\n`;
+  msg += `Tổng: ${stats.total} | Điểm TB: ${stats.avgScore}\n`;
+  if (stats.bySide.length > 0) {
+    msg += stats.bySide.map((r) => `${escapeHtml(r.side)}: ${r.count}`).join(' | ') + '\n';
+  }
+
+  const perf = stats.performance;
+  if (!perf.overall) {
+    msg += `\nChưa có lệnh nào đóng.`;
+    return msg;
+  }
+
+  msg += `\n<b>Hiệu suất</b>\n${formatPerformance(perf.overall)}\n`;
+
+  const sections = [
+    ['Theo symbol', perf.bySymbol],
+    ['Theo setup', perf.bySetupType],
+    ['Theo điểm', perf.byScoreBucket]
+  ];
+  for (const [title, rows] of sections) {
+    if (rows.length === 0) continue;
+    msg += `\n<b>${title}</b>\n`;
+    for (const row of rows) {
+      msg += `${escapeHtml(row.key)}: ${formatPerformance(row)}\n`;
+    }
+  }
+
+  return msg;
+}
+
+/**
+ * /cooldowns - active cooldowns with remaining time
+ */
+function handleCooldowns(args, context) {
+  const now = context.clock ? context.clock.now() : Date.now();
+  const cooldowns = getActiveCooldowns(now);
+  if (cooldowns.length === 0) return 'Không có cooldown nào đang chạy';
+
+  let msg = `⏳ <b>Cooldown đang chạy</b>\n\n`;
+  for (const c of cooldowns) {
+    msg += `${escapeHtml(c.symbol)} ${escapeHtml(c.timeframe)} ${escapeHtml(c.side)}`;
+    msg += ` | ${escapeHtml(c.zone_key || 'none')} | còn ${formatDuration(c.expires_at - now)}\n`;
+  }
+
+  return msg;
+}
+
+/**
+ * /pause - stop sending signals
+ */
+function handlePause(args, context) {
+  context.controls.pause();
+  return '⏸️ Đã tạm dừng gửi tín hiệu. Dùng /resume để chạy lại.';
+}
+
+/**
+ * /resume - resume sending signals
+ */
+function handleResume(args, context) {
+  context.controls.resume();
+  return '▶️ Đã chạy lại việc gửi tín hiệu.';
+}
+
+/**
+ * /mute SYMBOL [TF] - mute a symbol (all timeframes) or one of the entry timeframes
+ * Other timeframes only feed HTF bias, so a mute on them would never apply
+ */
+function handleMute(args, context) {
+  if (!args[0]) return 'Cách dùng: /mute SYMBOL [TF]';
+  const symbol = args[0].toUpperCase();
+  const timeframe = args[1] ? args[1].toLowerCase() : null;
+  const entryTimeframes = context.controls.getEntryTimeframes();
+  if (timeframe && !entryTimeframes.includes(timeframe)) {
+    return `❌ Chỉ mute được timeframe ENTRY: ${escapeHtml(entryTimeframes.join(', '))}`;
+  }
+  const added = context.controls.mute(symbol, timeframe);
+  const target = `${escapeHtml(symbol)}${timeframe ? ` ${escapeHtml(timeframe)}` : ''}`;
+  return added ? `🔇 Đã mute ${target}` : `${target} đã được mute từ trước`;
+}
+
+/**
+ * /unmute [SYMBOL|all] [TF] - remove mutes (all when no symbol is given)
+ */
+function handleUnmute(args, context) {
+  const symbol = args[0] && args[0].toLowerCase() !== 'all' ? args[0].toUpperCase() : null;
+  const timeframe = symbol && args[1] ? args[1].toLowerCase() : null;
+  const removed = context.controls.unmute(symbol, timeframe);
+  return `🔊 Đã bỏ ${removed} mute`;
+}
+
+/**
+ * /threshold [N|reset] - show, set or reset (back to .env) the ENTRY score threshold
+ * N is capped at the highest score a signal can get (100 + RSI divergence bonus)
+ */
+function handleThreshold(args, context) {
+  if (!args[0]) {
+    return `Điểm tối thiểu hiện tại: ${context.controls.getState().entryScoreThreshold}`;
+  }
+
+  if (args[0].toLowerCase() === 'reset') {
+    const threshold = context.controls.resetEntryScoreThreshold();
+    return `↩️ Điểm tối thiểu về mặc định: ${threshold}`;
+  }
+
+  const maxScore = context.controls.getMaxScore();
+  const threshold = parseInt(args[0]);
+  if (Number.isNaN(threshold) || threshold < 0 || threshold > maxScore) {
+    return `Cách dùng: /threshold N (0-${maxScore}) | /threshold reset`;
+  }
+
+  context.controls.setEntryScoreThreshold(threshold);
+  return `✅ Điểm tối thiểu: ${threshold}`;
+}
+
+/**
+ * /cooldown clear SYMBOL|all - clear cooldowns
+ */
+function handleCooldownAdmin(args, context) {
+  if (!args[0] || args[0].toLowerCase() !== 'clear' || !args[1]) {
+    return 'Cách dùng: /cooldown clear SYMBOL|all';
+  }
+
+  const symbol = args[1].toLowerCase() === 'all' ? null : args[1].toUpperCase();
+  const removed = context.controls.clearCooldown(symbol);
+  return `🧹 Đã xoá ${removed} cooldown${symbol ? ` cho ${escapeHtml(symbol)}` : ''}`;
+}
+
+/**
+ * /watch SYMBOL - start watching a symbol without restarting
+ */
+async function handleWatch(args, context) {
+  if (!args[0]) return 'Cách dùng: /watch SYMBOL';
+  try {
+    const symbol = await context.watchlist.add(args[0].toUpperCase());
+    return `👀 Đang theo dõi ${escapeHtml(symbol)}`;
+  } catch (err) {
+    return `❌ Không thể theo dõi ${escapeHtml(args[0].toUpperCase())}: ${escapeHtml(err.message)}`;
+  }
+}
+
+/**
+ * /unwatch SYMBOL - stop watching a symbol
+ */
+async function handleUnwatch(args, context) {
+  if (!args[0]) return 'Cách dùng: /unwatch SYMBOL';
+  const symbol = args[0].toUpperCase();
+  return (await context.watchlist.remove(symbol))
+    ? `🙈 Đã ngừng theo dõi ${escapeHtml(symbol)}`
+    : `${escapeHtml(symbol)} không nằm trong danh sách theo dõi`;
+}
+
+function handleHelp(args, context, msg) {
+  let text =
+    `<b>Lệnh</b>\n` +
+    `/status - Trạng thái bot, WS, nến gần nhất\n` +
+    `/signals [SYMBOL] - Tín hiệu gần đây\n` +
+    `/stats - Thống kê hiệu suất\n` +
+    `/cooldowns - Cooldown đang chạy`;
+
+  if (isAdmin(msg)) {
+    text +=
+      `\n\n<b>Admin</b>\n` +
+      `/pause, /resume - Tạm dừng / chạy lại tín hiệu\n` +
+      `/mute SYMBOL [TF], /unmute [SYMBOL|all] [TF]\n` +
+      `/threshold [N|reset] - Điểm tối thiểu ENTRY\n` +
+      `/cooldown clear SYMBOL|all\n` +
+      `/watch SYMBOL, /unwatch SYMBOL - Thêm / bớt symbol (đến khi khởi động lại)`;
+  }
+
+  return text;
+}
+
+const COMMANDS = {
+  status: { handler: handleStatus },
+  signals: { handler: handleSignals },
+  stats: { handler: handleStats },
+  cooldowns: { handler: handleCooldowns },
+  help: { handler: handleHelp },
+  start: { handler: handleHelp },
+  pause: { handler: handlePause, admin: true },
+  resume: { handler: handleResume, admin: true },
+  mute: { handler: handleMute, admin: true },
+  unmute: { handler: handleUnmute, admin: true },
+  threshold: { handler: handleThreshold, admin: true },
+  cooldown: { handler: handleCooldownAdmin, admin: true },
+  watch: { handler: handleWatch, admin: true },
+  unwatch: { handler: handleUnwatch, admin: true }
+};
+
+/**
+ * Get admin Telegram user IDs from TELEGRAM_ADMIN_IDS
+ * @returns {Set<string>}
+ */
+function getAdminIds() {
+  return new Set(
+    (process.env.TELEGRAM_ADMIN_IDS || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean)
+  );
+}
+
+function isAdmin(msg) {
+  return Boolean(msg && msg.from && getAdminIds().has(String(msg.from.id)));
+}
+
+/**
+ * Whether a message may run a command: admins anywhere,
+ * others only read-only commands in the configured chats
+ * @param {Object} command - Entry of COMMANDS
+ * @param {Object} msg - Telegram message
+ * @param {Set<string>} allowedChats
+ */
+function isAuthorized(command, msg, allowedChats) {
+  if (isAdmin(msg)) return true;
+  return !command.admin && allowedChats.has(String(msg.chat.id));
+}
+
+/**
+ * Parse '/command@BotName arg1 arg2'
+ * @returns {{command: string, args: Array<string>}|null}
+ */
+function parseCommand(text) {
+  const match = String(text || '').trim().match(/^\/(\w+)(?:@\w+)?(?:\s+(.*))?$/);
+  if (!match) return null;
+  return {
+    command: match[1].toLowerCase(),
+    args: match[2] ? match[2].split(/\s+/).filter(Boolean) : []
+  };
+}
+
+/**
+ * Start answering commands
+ * @param {Object} context - { getStatus(), controls, watchlist, clock, timeframes } provided by the application
+ * @returns {boolean} Whether commands were started
+ */
+function startCommands(context) {
+  const bot = getBot();
+  if (!bot || !bot.isPolling()) {
+    console.log('[Commands] Telegram commands disabled (set TELEGRAM_COMMANDS_ENABLED=true and configure the bot)');
+    return false;
+  }
+
+  const allowedChats = new Set(getChatIds());
+
+  bot.on('message', async (msg) => {
+    const parsed = parseCommand(msg.text);
+    if (!parsed || !COMMANDS[parsed.command]) return;
+
+    const command = COMMANDS[parsed.command];
+    const chatId = String(msg.chat.id);
+
+    if (!isAuthorized(command, msg, allowedChats)) {
+      const from = msg.from ? msg.from.id : 'unknown';
+      console.warn(`[Commands] Ignoring /${parsed.command} from unauthorized user ${from} in chat ${chatId}`);
+      return;
+    }
+
+    if (command.admin) {
+      console.log(`[Commands] Admin ${msg.from.id}: ${msg.text}`);
+    }
+
+    try {
+      let reply = await command.handler(parsed.args, context, msg);
+      if (reply.length > MAX_MESSAGE_LENGTH) {
+        // Cut on a line boundary so no HTML tag is left open
+        reply = reply.slice(0, reply.lastIndexOf('\n', MAX_MESSAGE_LENGTH)) + '\n…';
+      }
+      await bot.sendMessage(chatId, reply, {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      });
+    } catch (err) {
+      console.error(`[Commands] Error handling /${parsed.command}:`, err.message);
+    }
+  });
+
+  console.log('[Commands] Telegram commands enabled:', Object.keys(COMMANDS).map((c) => `/${c}`).join(' '));
+  return true;
+}
+
+module.exports = {
+  COMMANDS,
+  parseCommand,
+  isAdmin,
+  isAuthorized,
+  startCommands
+};
@@ -17,6 +17,17 @@ function formatNumber(num, decimals = 2) {
   return num.toFixed(decimals);
 }
 
+/**
+ * Format a price with only meaningful decimals
+ * @param {number} num
+ * @param {number|null} decimals - Symbol tick decimals; null trims trailing zeros of 8 decimals
+ */
+function formatPrice(num, decimals = null) {
+  if (typeof num !== 'number' || Number.isNaN(num)) return '--';
+  if (decimals !== null && decimals !== undefined) return num.toFixed(decimals);
+  return String(parseFloat(num.toFixed(8)));
+}
+
 function calculatePercent(from, to) {
   if (typeof from !== 'number' || typeof to !== 'number' || from === 0) return null;
   return ((to - from) / from) * 100;
@@ -195,9 +206,9 @@ function formatSignalMessage(signal) {
   msg += `━━━━━━━━━━━━━━━━━━━━\n\n`;
 
   msg += `<b>📋 KẾ HOẠCH GIAO DỊCH</b>\n`;
-  msg += `Entry: <code>${formatNumber(entry, 8)}</code>\n`;
+  msg += `Entry: <code>${formatPrice(entry, levels.priceDecimals)}</code>\n`;
 
-  msg += `SL: <code>${formatNumber(sl, 8)}</code>`;
+  msg += `SL: <code>${formatPrice(sl, levels.priceDecimals)}</code>`;
   if (slPercent !== null) msg += ` (${formatNumber(Math.abs(slPercent), 2)}%)`;
   if (levels.slZone?.type) {
     const z = levels.slZone.type === 'support' ? 'support' : 'resistance';
@@ -206,7 +217,7 @@ function formatSignalMessage(signal) {
   msg += `\n`;
 
   if (typeof tp1 === 'number') {
-    msg += `TP1: <code>${formatNumber(tp1, 8)}</code>`;
+    msg += `TP1: <code>${formatPrice(tp1, levels.priceDecimals)}</code>`;
     if (tp1Percent !== null) msg += ` (${formatNumber(Math.abs(tp1Percent), 2)}%)`;
     if (typeof rr1 === 'number') msg += ` <b>[${formatNumber(rr1, 1)}R]</b>`;
     if (levels.tpZones?.[0]?.type) msg += ` <i>[${escapeHtml(levels.tpZones[0].type)}]</i>`;
@@ -214,7 +225,7 @@ function formatSignalMessage(signal) {
   }
 
   if (typeof tp2 === 'number') {
-    msg += `TP2: <code>${formatNumber(tp2, 8)}</code>`;
+    msg += `TP2: <code>${formatPrice(tp2, levels.priceDecimals)}</code>`;
     if (tp2Percent !== null) msg += ` (${formatNumber(Math.abs(tp2Percent), 2)}%)`;
     if (typeof rr2 === 'number') msg += ` <b>[${formatNumber(rr2, 1)}R]</b>`;
     if (levels.tpZones?.[1]?.type) msg += ` <i>[${escapeHtml(levels.tpZones[1].type)}]</i>`;
@@ -252,6 +263,51 @@ function formatSignalMessage(signal) {
   return msg;
 }
 
+function formatSignedR(r) {
+  if (typeof r !== 'number' || Number.isNaN(r)) return '--';
+  return `${r >= 0 ? '+' : ''}${formatNumber(r, 1)}R`;
+}
+
+/**
+ * Follow-up message for a tracked signal (sent as a reply to the original signal)
+ * @param {Object} outcome - Outcome row joined with signal (symbol, timeframe, side, ...)
+ * @param {Object} event - { type, price, r, wasFilled }
+ */
+function formatFollowUpMessage(outcome, event) {
+  const header = `<b>${escapeHtml(outcome.symbol)} | ${escapeHtml(
+    String(outcome.timeframe || '').toUpperCase()
+  )} | ${escapeHtml(outcome.side)}</b>`;
+  const price = `<code>${formatPrice(event.price)}</code>`;
+
+  let body;
+  switch (event.type) {
+    case 'FILLED':
+      body = `✅ Đã khớp Entry ${price}`;
+      break;
+    case 'TP1':
+      body = `🎯 TP1 hit ${price} <b>${formatSignedR(event.r)}</b>, dời SL về Entry (BE)`;
+      break;
+    case 'TP2':
+      body = `🏆 TP2 hit ${price} <b>${formatSignedR(event.r)}</b>, đóng lệnh`;
+      break;
+    case 'SL':
+      body = `🛑 SL hit ${price} <b>${formatSignedR(event.r)}</b>`;
+      break;
+    case 'BREAKEVEN':
+      body = `⚖️ Chạm SL tại Entry (BE) ${price}, đóng phần còn lại`;
+      break;
+    case 'EXPIRED':
+      body = event.wasFilled
+        ? `⌛ Hết thời gian giữ lệnh, đóng tại ${price} <b>${formatSignedR(event.r)}</b>`
+        : `⌛ Hết hạn, Entry không khớp`;
+      break;
+    default:
+      body = `${escapeHtml(event.type)} ${price}`;
+  }
+
+  return `${header}\n${body}`;
+}
+
 function formatSimpleMessage(signal) {
   const entry = signal?.levels?.entry;
   return `[SIGNAL] ${signal?.symbol} ${signal?.timeframe} ${signal?.side} @ ${entry} | Score: ${signal?.score}`;
@@ -260,10 +316,13 @@ function formatSimpleMessage(signal) {
 module.exports = {
   escapeHtml,
   formatNumber,
+  formatPrice,
   calculatePercent,
   translatePattern,
   getSetupNameVN,
   generateTradeReasons,
+  formatTime,
   formatSignalMessage,
+  formatFollowUpMessage,
   formatSimpleMessage
 };
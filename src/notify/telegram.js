@@ -3,6 +3,7 @@ const { formatSignalMessage } = require('./format');
 
 let bot = null;
 const DRY_RUN = process.env.DRY_RUN === 'true';
+const COMMANDS_ENABLED = process.env.TELEGRAM_COMMANDS_ENABLED === 'true';
 
 /**
  * Initialize Telegram bot
@@ -23,12 +24,34 @@ function initTelegram() {
   }
 
   console.log('[Telegram] Initializing Telegram bot...');
-  bot = new TelegramBot(token, { polling: false });
+  // Polling is only needed to receive commands
+  bot = new TelegramBot(token, { polling: COMMANDS_ENABLED });
+  if (COMMANDS_ENABLED) {
+    bot.on('polling_error', (err) => {
+      console.error('[Telegram] Polling error:', err.message);
+    });
+  }
   
   console.log('[Telegram] Telegram bot initialized successfully');
   return bot;
 }
 
+/**
+ * Get the bot instance (null in DRY_RUN or when not configured)
+ */
+function getBot() {
+  return bot;
+}
+
+/**
+ * Stop polling for updates (no-op if polling is off)
+ */
+async function stopTelegram() {
+  if (bot && bot.isPolling()) {
+    await bot.stopPolling();
+  }
+}
+
 /**
  * Get unique list of chat IDs to send to
  * @returns {string[]} Array of chat IDs
@@ -47,6 +70,7 @@ function getChatIds() {
 
 /**
  * Send a signal message to Telegram
+ * Sets signal.message and signal.telegramMessages ([{ chatId, messageId }]) for persistence/threading
  * @param {Object} signal - Signal object with all details
  * @returns {Promise<boolean>} Success status
  */
@@ -55,6 +79,8 @@ async function sendSignal(signal) {
 
   // Format the message
   const message = formatSignalMessage(signal);
+  signal.message = message;
+  signal.telegramMessages = [];
 
   // If DRY_RUN, just log
   if (DRY_RUN || !bot) {
@@ -70,10 +96,11 @@ async function sendSignal(signal) {
   let success = true;
   for (const chatId of chatIds) {
     try {
-      await bot.sendMessage(chatId, message, {
+      const sent = await bot.sendMessage(chatId, message, {
         parse_mode: 'HTML',
         disable_web_page_preview: true
       });
+      signal.telegramMessages.push({ chatId, messageId: sent.message_id });
 
       console.log(`[Telegram] Successfully sent signal to ${chatId} for ${signal.symbol} ${signal.timeframe}`);
 
@@ -118,6 +145,76 @@ async function sendMessage(text) {
   return success;
 }
 
+/**
+ * Chat for operational alerts: TELEGRAM_ADMIN_CHAT_ID, else TELEGRAM_CHAT_ID
+ * Never the signal group, whose subscribers should not see bot health messages
+ * @returns {string|null}
+ */
+function getAdminChatId() {
+  const chatId = (process.env.TELEGRAM_ADMIN_CHAT_ID || '').trim() || (process.env.TELEGRAM_CHAT_ID || '').trim();
+  return chatId || null;
+}
+
+/**
+ * Send an operational alert (WS health, clock drift, exchangeInfo, etc.) to the admin chat
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>}
+ */
+async function sendAdminAlert(text) {
+  const adminChatId = getAdminChatId();
+  if (!adminChatId) {
+    console.warn(`[Telegram] No admin chat configured, admin alert not sent: ${text}`);
+    return false;
+  }
+
+  if (DRY_RUN || !bot) {
+    console.log(`[Telegram] DRY_RUN - Would send admin alert to ${adminChatId}: ${text}`);
+    return true;
+  }
+
+  try {
+    await bot.sendMessage(adminChatId, text, { parse_mode: 'HTML' });
+    return true;
+  } catch (err) {
+    console.error(`[Telegram] Error sending admin alert to ${adminChatId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Send a follow-up as a reply to previously sent signal messages
+ * Falls back to a plain message to all chats when there is nothing to reply to
+ * @param {Array<{chatId: string, messageId: number}>} refs - Original signal messages
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>}
+ */
+async function sendFollowUp(refs, text) {
+  if (!refs || refs.length === 0) {
+    return sendMessage(text);
+  }
+
+  if (DRY_RUN || !bot) {
+    const targets = refs.map((r) => `${r.chatId}#${r.messageId}`).join(', ');
+    console.log(`[Telegram] DRY_RUN - Would reply to ${targets}: ${text}`);
+    return true;
+  }
+
+  let success = true;
+  for (const ref of refs) {
+    try {
+      await bot.sendMessage(ref.chatId, text, {
+        parse_mode: 'HTML',
+        reply_to_message_id: ref.messageId,
+        allow_sending_without_reply: true
+      });
+    } catch (err) {
+      console.error(`[Telegram] Error sending follow-up to ${ref.chatId}:`, err.message);
+      success = false;
+    }
+  }
+  return success;
+}
+
 /**
  * Test Telegram connection
  */
@@ -139,7 +236,13 @@ async function testConnection() {
 
 module.exports = {
   initTelegram,
+  getBot,
+  getChatIds,
+  getAdminChatId,
+  stopTelegram,
   sendSignal,
   sendMessage,
+  sendAdminAlert,
+  sendFollowUp,
   testConnection
 };
@@ -1,6 +1,7 @@
 const { getCandleStrength } = require('./patterns');
 const { calculateAverageVolume } = require('./setups');
 const { findNextOpposingZones, findStopLossZone } = require('./zones');
+const { decimalsOf, roundToTick } = require('../binance/precision');
 
 /**
  * Score a trading signal (0-100)
@@ -199,11 +200,14 @@ function calculateDivergenceScore(divergence, side, maxBonus = 10) {
 
 /**
  * Calculate risk/reward levels with zone-based SL/TP
+ * With a tickSize, levels are rounded to valid prices in the safe direction:
+ * entry to the nearest tick, SL away from entry, TPs toward entry
  * @param {Object} setup - Setup object with zones attached
  * @param {number} zoneSLBuffer - Buffer percentage for stop loss beyond zone (default: 0.2%)
- * @returns {Object} { entry, stopLoss, takeProfit1, takeProfit2, riskReward1, riskReward2, tpZones }
+ * @param {string|null} tickSize - Symbol PRICE_FILTER tickSize (null: round to 8 decimals)
+ * @returns {Object} { entry, stopLoss, takeProfit1, takeProfit2, riskReward1, riskReward2, priceDecimals, tpZones }
  */
-function calculateLevels(setup, zoneSLBuffer = null) {
+function calculateLevels(setup, zoneSLBuffer = null, tickSize = null) {
   const entry = setup.price;
   const slBuffer = zoneSLBuffer || parseFloat(process.env.ZONE_SL_BUFFER_PCT) || 0.2;
   
@@ -291,19 +295,38 @@ function calculateLevels(setup, zoneSLBuffer = null) {
     }
   }
 
-  const risk = Math.abs(entry - stopLoss);
-  const reward1 = Math.abs(tp1 - entry);
+  let roundedEntry, priceDecimals;
+  if (tickSize) {
+    // LONG: SL below entry rounds down (away), TPs above entry round down (toward); SHORT mirrors
+    const mode = setup.side === 'LONG' ? 'down' : 'up';
+    roundedEntry = roundToTick(entry, tickSize);
+    stopLoss = roundToTick(stopLoss, tickSize, mode);
+    tp1 = roundToTick(tp1, tickSize, mode);
+    tp2 = roundToTick(tp2, tickSize, mode);
+    priceDecimals = decimalsOf(tickSize);
+  } else {
+    roundedEntry = parseFloat(entry.toFixed(8));
+    stopLoss = parseFloat(stopLoss.toFixed(8));
+    tp1 = parseFloat(tp1.toFixed(8));
+    tp2 = parseFloat(tp2.toFixed(8));
+    priceDecimals = null;
+  }
+
+  // R:R from the rounded prices that are actually sent
+  const risk = Math.abs(roundedEntry - stopLoss);
+  const reward1 = Math.abs(tp1 - roundedEntry);
   const rr1 = reward1 / risk;
-  const reward2 = Math.abs(tp2 - entry);
+  const reward2 = Math.abs(tp2 - roundedEntry);
   const rr2 = reward2 / risk;
 
   return {
-    entry: parseFloat(entry.toFixed(8)),
-    stopLoss: parseFloat(stopLoss.toFixed(8)),
-    takeProfit1: parseFloat(tp1.toFixed(8)),
-    takeProfit2: parseFloat(tp2.toFixed(8)),
+    entry: roundedEntry,
+    stopLoss,
+    takeProfit1: tp1,
+    takeProfit2: tp2,
     riskReward1: parseFloat(rr1.toFixed(2)),
     riskReward2: parseFloat(rr2.toFixed(2)),
+    priceDecimals,
     slZone: slZone ? { center: slZone.center, type: slZone.type } : null,
     tpZones: tpZones.map(z => ({ center: z.center, type: z.type, distancePercent: z.distancePercent }))
   };
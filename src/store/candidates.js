@@ -0,0 +1,162 @@
+const { getDatabase } = require('./db');
+
+/**
+ * Audit log of every detected setup and the stage that accepted or rejected it
+ */
+
+// Candidate outcomes, in pipeline order
+const CANDIDATE_OUTCOMES = {
+  HTF_NOT_ALIGNED: 'HTF_NOT_ALIGNED',
+  LOW_VOLUME: 'LOW_VOLUME',
+  LOW_SCORE: 'LOW_SCORE',
+  LOW_RR: 'LOW_RR',
+  CHASE_NO: 'CHASE_NO',
+  COOLDOWN: 'COOLDOWN',
+  SEND_FAILED: 'SEND_FAILED',
+  SENT: 'SENT',
+  // Backfilled after a gap with GAP_POLICY=replay: recorded, not sent
+  REPLAYED: 'REPLAYED'
+};
+
+/**
+ * Save a candidate
+ * @param {Object} candidate - { symbol, timeframe, side, setupType, setupName, candleTime, outcome,
+ *                              score, volumeRatio, riskReward, chaseScore, htfBias, signalId }
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ * @returns {number} Inserted candidate ID
+ */
+function saveCandidate(candidate, now = Date.now()) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO candidates (
+      symbol, timeframe, side, setup_type, setup_name, candle_time, outcome,
+      score, volume_ratio, risk_reward, chase_score, htf_bias, signal_id, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(
+    candidate.symbol,
+    candidate.timeframe,
+    candidate.side,
+    candidate.setupType,
+    candidate.setupName || null,
+    candidate.candleTime,
+    candidate.outcome,
+    candidate.score ?? null,
+    candidate.volumeRatio ?? null,
+    candidate.riskReward ?? null,
+    candidate.chaseScore ?? null,
+    candidate.htfBias || null,
+    candidate.signalId || null,
+    now
+  );
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Build WHERE clause from candidate filters
+ */
+function buildFilter(filter = {}) {
+  const clauses = [];
+  const params = [];
+
+  if (filter.symbol) {
+    clauses.push('symbol = ?');
+    params.push(filter.symbol);
+  }
+  if (filter.timeframe) {
+    clauses.push('timeframe = ?');
+    params.push(filter.timeframe);
+  }
+  if (filter.setupType) {
+    clauses.push('setup_type = ?');
+    params.push(filter.setupType);
+  }
+  if (filter.outcome) {
+    clauses.push('outcome = ?');
+    params.push(filter.outcome);
+  }
+  if (filter.since) {
+    clauses.push('candle_time >= ?');
+    params.push(filter.since);
+  }
+  if (filter.until) {
+    clauses.push('candle_time <= ?');
+    params.push(filter.until);
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Get candidates matching a filter
+ * @param {Object} filter - { symbol, timeframe, setupType, outcome, since, until }
+ * @param {number} limit
+ * @returns {Array}
+ */
+function getCandidates(filter = {}, limit = 100) {
+  const db = getDatabase();
+  const { where, params } = buildFilter(filter);
+
+  const stmt = db.prepare(`
+    SELECT * FROM candidates
+    ${where}
+    ORDER BY candle_time DESC
+    LIMIT ?
+  `);
+
+  return stmt.all(...params, limit);
+}
+
+/**
+ * Count candidates per outcome, with average metrics
+ * e.g. getCandidateStats({ timeframe: '1h', setupType: 'reversal', since }) to see which filter kills most setups
+ * @param {Object} filter - { symbol, timeframe, setupType, since, until }
+ * @returns {Array} Rows of { outcome, count, avg_score, avg_volume_ratio, avg_risk_reward, avg_chase_score }
+ */
+function getCandidateStats(filter = {}) {
+  const db = getDatabase();
+  const { where, params } = buildFilter(filter);
+
+  const stmt = db.prepare(`
+    SELECT outcome,
+      COUNT(*) as count,
+      AVG(score) as avg_score,
+      AVG(volume_ratio) as avg_volume_ratio,
+      AVG(risk_reward) as avg_risk_reward,
+      AVG(chase_score) as avg_chase_score
+    FROM candidates
+    ${where}
+    GROUP BY outcome
+    ORDER BY count DESC
+  `);
+
+  return stmt.all(...params);
+}
+
+/**
+ * Delete candidates older than the retention period
+ * @param {number} retentionDays
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ */
+function cleanupOldCandidates(retentionDays, now = Date.now()) {
+  const db = getDatabase();
+  const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+  const result = db.prepare('DELETE FROM candidates WHERE candle_time < ?').run(cutoff);
+  if (result.changes > 0) {
+    console.log(`[Candidates] Cleaned up ${result.changes} candidates older than ${retentionDays} days`);
+  }
+}
+
+module.exports = {
+  CANDIDATE_OUTCOMES,
+  saveCandidate,
+  getCandidates,
+  getCandidateStats,
+  cleanupOldCandidates
+};
@@ -0,0 +1,267 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+
+const CANDLES_DB_PATH = process.env.CANDLES_DB_PATH || './data/candles.db';
+
+let db = null;
+
+/**
+ * On-disk candle cache keyed by symbol/interval
+ * Kept in its own SQLite file so backtests and offline tools can use it
+ * without touching the signals database
+ */
+
+/**
+ * Initialize candle database
+ * @param {string} dbPath - Database file path (default: CANDLES_DB_PATH)
+ */
+function initCandleStore(dbPath = CANDLES_DB_PATH) {
+  if (db) return db;
+
+  if (dbPath !== ':memory:') {
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  console.log(`[Candles] Initializing candle store at ${dbPath}`);
+
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS candles (
+      symbol TEXT NOT NULL,
+      interval TEXT NOT NULL,
+      open_time INTEGER NOT NULL,
+      open REAL NOT NULL,
+      high REAL NOT NULL,
+      low REAL NOT NULL,
+      close REAL NOT NULL,
+      volume REAL NOT NULL,
+      close_time INTEGER NOT NULL,
+      quote_volume REAL,
+      trades INTEGER,
+      taker_buy_base_volume REAL,
+      taker_buy_quote_volume REAL,
+      PRIMARY KEY (symbol, interval, open_time)
+    )
+  `);
+
+  // Ranges already downloaded, so empty periods (before listing, maintenance) are not re-fetched
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS candle_coverage (
+      symbol TEXT NOT NULL,
+      interval TEXT NOT NULL,
+      start_time INTEGER NOT NULL,
+      end_time INTEGER NOT NULL,
+      PRIMARY KEY (symbol, interval, start_time)
+    )
+  `);
+
+  return db;
+}
+
+/**
+ * Get candle database instance
+ */
+function getCandleStore() {
+  if (!db) {
+    throw new Error('Candle store not initialized. Call initCandleStore() first.');
+  }
+  return db;
+}
+
+/**
+ * Close candle database connection
+ */
+function closeCandleStore() {
+  if (db) {
+    console.log('[Candles] Closing candle store');
+    db.close();
+    db = null;
+  }
+}
+
+/**
+ * Save closed candles (insert or replace by openTime)
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {Array} candles - Candles in internal format
+ * @returns {number} Number of candles written
+ */
+function saveCandles(symbol, interval, candles) {
+  const store = getCandleStore();
+
+  const stmt = store.prepare(`
+    INSERT OR REPLACE INTO candles (
+      symbol, interval, open_time, open, high, low, close, volume,
+      close_time, quote_volume, trades, taker_buy_base_volume, taker_buy_quote_volume
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const insertMany = store.transaction((rows) => {
+    for (const c of rows) {
+      stmt.run(
+        symbol,
+        interval,
+        c.openTime,
+        c.open,
+        c.high,
+        c.low,
+        c.close,
+        c.volume,
+        c.closeTime,
+        c.quoteVolume ?? null,
+        c.trades ?? null,
+        c.takerBuyBaseVolume ?? null,
+        c.takerBuyQuoteVolume ?? null
+      );
+    }
+  });
+
+  insertMany(candles);
+  return candles.length;
+}
+
+/**
+ * Write through one closed candle from the live feed and extend the coverage over it,
+ * so the next startup only downloads what closed after it
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {Object} candle - Closed candle in internal format
+ */
+function saveClosedCandle(symbol, interval, candle) {
+  const store = getCandleStore();
+  store.transaction(() => {
+    saveCandles(symbol, interval, [candle]);
+    addCoverage(symbol, interval, candle.openTime, candle.closeTime);
+  })();
+}
+
+/**
+ * Get stored candles whose openTime falls within [startTime, endTime]
+ * @returns {Array} Candles in internal format, oldest first
+ */
+function getCandles(symbol, interval, startTime, endTime) {
+  const store = getCandleStore();
+
+  const stmt = store.prepare(`
+    SELECT * FROM candles
+    WHERE symbol = ? AND interval = ? AND open_time >= ? AND open_time <= ?
+    ORDER BY open_time ASC
+  `);
+
+  return stmt.all(symbol, interval, startTime, endTime).map(rowToCandle);
+}
+
+/**
+ * Get the most recent N stored candles
+ * @returns {Array} Candles in internal format, oldest first
+ */
+function getLatestCandles(symbol, interval, limit) {
+  const store = getCandleStore();
+
+  const stmt = store.prepare(`
+    SELECT * FROM candles
+    WHERE symbol = ? AND interval = ?
+    ORDER BY open_time DESC
+    LIMIT ?
+  `);
+
+  return stmt.all(symbol, interval, limit).reverse().map(rowToCandle);
+}
+
+/**
+ * Mark [startTime, endTime] as downloaded, merging with overlapping or adjacent ranges
+ */
+function addCoverage(symbol, interval, startTime, endTime) {
+  const store = getCandleStore();
+
+  const merge = store.transaction(() => {
+    const overlapping = store.prepare(`
+      SELECT start_time, end_time FROM candle_coverage
+      WHERE symbol = ? AND interval = ? AND start_time <= ? AND end_time >= ?
+    `).all(symbol, interval, endTime + 1, startTime - 1);
+
+    let mergedStart = startTime;
+    let mergedEnd = endTime;
+    for (const range of overlapping) {
+      mergedStart = Math.min(mergedStart, range.start_time);
+      mergedEnd = Math.max(mergedEnd, range.end_time);
+    }
+
+    store.prepare(`
+      DELETE FROM candle_coverage
+      WHERE symbol = ? AND interval = ? AND start_time <= ? AND end_time >= ?
+    `).run(symbol, interval, endTime + 1, startTime - 1);
+
+    store.prepare(`
+      INSERT INTO candle_coverage (symbol, interval, start_time, end_time)
+      VALUES (?, ?, ?, ?)
+    `).run(symbol, interval, mergedStart, mergedEnd);
+  });
+
+  merge();
+}
+
+/**
+ * Get sub-ranges of [startTime, endTime] that have not been downloaded yet
+ * @returns {Array<{startTime: number, endTime: number}>}
+ */
+function getMissingRanges(symbol, interval, startTime, endTime) {
+  const store = getCandleStore();
+
+  const covered = store.prepare(`
+    SELECT start_time, end_time FROM candle_coverage
+    WHERE symbol = ? AND interval = ? AND start_time <= ? AND end_time >= ?
+    ORDER BY start_time ASC
+  `).all(symbol, interval, endTime, startTime);
+
+  const missing = [];
+  let cursor = startTime;
+
+  for (const range of covered) {
+    if (range.start_time > cursor) {
+      missing.push({ startTime: cursor, endTime: range.start_time - 1 });
+    }
+    cursor = Math.max(cursor, range.end_time + 1);
+  }
+
+  if (cursor <= endTime) {
+    missing.push({ startTime: cursor, endTime });
+  }
+
+  return missing;
+}
+
+function rowToCandle(row) {
+  return {
+    openTime: row.open_time,
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    volume: row.volume,
+    closeTime: row.close_time,
+    quoteVolume: row.quote_volume,
+    trades: row.trades,
+    takerBuyBaseVolume: row.taker_buy_base_volume,
+    takerBuyQuoteVolume: row.taker_buy_quote_volume,
+    isClosed: true
+  };
+}
+
+module.exports = {
+  initCandleStore,
+  getCandleStore,
+  closeCandleStore,
+  saveCandles,
+  saveClosedCandle,
+  getCandles,
+  getLatestCandles,
+  addCoverage,
+  getMissingRanges
+};
@@ -17,12 +17,12 @@ function generateCooldownKey(symbol, timeframe, side, zoneKey) {
  * @param {string} timeframe
  * @param {string} side - 'LONG' or 'SHORT'
  * @param {string} zoneKey - Zone identifier
+ * @param {number} now - Current time in milliseconds (default: Date.now())
  * @returns {boolean} True if on cooldown
  */
-function isOnCooldown(symbol, timeframe, side, zoneKey) {
+function isOnCooldown(symbol, timeframe, side, zoneKey, now = Date.now()) {
   const db = getDatabase();
   const cooldownKey = generateCooldownKey(symbol, timeframe, side, zoneKey);
-  const now = Date.now();
 
   const stmt = db.prepare(`
     SELECT COUNT(*) as count 
@@ -41,11 +41,11 @@ function isOnCooldown(symbol, timeframe, side, zoneKey) {
  * @param {string} side
  * @param {string} zoneKey
  * @param {number} cooldownMinutes - Cooldown duration in minutes
+ * @param {number} now - Current time in milliseconds (default: Date.now())
  */
-function addCooldown(symbol, timeframe, side, zoneKey, cooldownMinutes) {
+function addCooldown(symbol, timeframe, side, zoneKey, cooldownMinutes, now = Date.now()) {
   const db = getDatabase();
   const cooldownKey = generateCooldownKey(symbol, timeframe, side, zoneKey);
-  const now = Date.now();
   const expiresAt = now + (cooldownMinutes * 60 * 1000);
 
   const stmt = db.prepare(`
@@ -60,12 +60,12 @@ function addCooldown(symbol, timeframe, side, zoneKey, cooldownMinutes) {
 
 /**
  * Get remaining cooldown time in minutes
+ * @param {number} now - Current time in milliseconds (default: Date.now())
  * @returns {number} Minutes remaining, or 0 if not on cooldown
  */
-function getRemainingCooldown(symbol, timeframe, side, zoneKey) {
+function getRemainingCooldown(symbol, timeframe, side, zoneKey, now = Date.now()) {
   const db = getDatabase();
   const cooldownKey = generateCooldownKey(symbol, timeframe, side, zoneKey);
-  const now = Date.now();
 
   const stmt = db.prepare(`
     SELECT expires_at 
@@ -94,12 +94,28 @@ function removeCooldown(symbol, timeframe, side, zoneKey) {
   stmt.run(cooldownKey);
 }
 
+/**
+ * Remove all cooldowns for a symbol, or every cooldown when symbol is null
+ * @param {string|null} symbol
+ * @returns {number} Number of cooldowns removed
+ */
+function clearCooldowns(symbol = null) {
+  const db = getDatabase();
+
+  const result = symbol
+    ? db.prepare('DELETE FROM cooldowns WHERE symbol = ?').run(symbol)
+    : db.prepare('DELETE FROM cooldowns').run();
+
+  console.log(`[Cooldown] Cleared ${result.changes} cooldowns${symbol ? ` for ${symbol}` : ''}`);
+  return result.changes;
+}
+
 /**
  * Get all active cooldowns
+ * @param {number} now - Current time in milliseconds (default: Date.now())
  */
-function getActiveCooldowns() {
+function getActiveCooldowns(now = Date.now()) {
   const db = getDatabase();
-  const now = Date.now();
 
   const stmt = db.prepare(`
     SELECT * FROM cooldowns WHERE expires_at > ?
@@ -115,5 +131,6 @@ module.exports = {
   addCooldown,
   getRemainingCooldown,
   removeCooldown,
+  clearCooldowns,
   getActiveCooldowns
 };
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('./migrations');
 
 const DB_PATH = process.env.DB_PATH || './data/signals.db';
 
@@ -8,76 +9,30 @@ let db = null;
 
 /**
  * Initialize SQLite database
+ * @param {string} dbPath - Database file path, or ':memory:' for an isolated in-memory database
  */
-function initDatabase() {
+function initDatabase(dbPath = DB_PATH) {
   // Ensure data directory exists
-  const dir = path.dirname(DB_PATH);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+  if (dbPath !== ':memory:') {
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
   }
 
-  console.log(`[DB] Initializing database at ${DB_PATH}`);
+  console.log(`[DB] Initializing database at ${dbPath}`);
   
-  db = new Database(DB_PATH);
+  db = new Database(dbPath);
   db.pragma('journal_mode = WAL');
 
-  // Create tables
-  createTables();
+  // Bring schema up to date (throws on version mismatch)
+  const version = runMigrations(db);
 
-  console.log('[DB] Database initialized successfully');
+  console.log(`[DB] Database initialized successfully (schema v${version})`);
   
   return db;
 }
 
-/**
- * Create database tables
- */
-function createTables() {
-  // Signals table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS signals (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      symbol TEXT NOT NULL,
-      timeframe TEXT NOT NULL,
-      side TEXT NOT NULL,
-      setup_type TEXT NOT NULL,
-      setup_name TEXT,
-      score INTEGER NOT NULL,
-      entry REAL NOT NULL,
-      stop_loss REAL NOT NULL,
-      take_profit1 REAL NOT NULL,
-      take_profit2 REAL NOT NULL,
-      risk_reward REAL,
-      zone_key TEXT,
-      timestamp INTEGER NOT NULL,
-      sent_at INTEGER NOT NULL,
-      message TEXT
-    )
-  `);
-
-  // Cooldown table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS cooldowns (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      cooldown_key TEXT UNIQUE NOT NULL,
-      symbol TEXT NOT NULL,
-      timeframe TEXT NOT NULL,
-      side TEXT NOT NULL,
-      zone_key TEXT,
-      expires_at INTEGER NOT NULL,
-      created_at INTEGER NOT NULL
-    )
-  `);
-
-  // Create indices
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_signals_symbol_tf ON signals(symbol, timeframe);
-    CREATE INDEX IF NOT EXISTS idx_signals_timestamp ON signals(timestamp DESC);
-    CREATE INDEX IF NOT EXISTS idx_cooldowns_key ON cooldowns(cooldown_key);
-    CREATE INDEX IF NOT EXISTS idx_cooldowns_expires ON cooldowns(expires_at);
-  `);
-}
-
 /**
  * Get database instance
  */
@@ -101,9 +56,9 @@ function closeDatabase() {
 
 /**
  * Clean up expired cooldowns (optional maintenance)
+ * @param {number} now - Current time in milliseconds (default: Date.now())
  */
-function cleanupExpiredCooldowns() {
-  const now = Date.now();
+function cleanupExpiredCooldowns(now = Date.now()) {
   const result = db.prepare('DELETE FROM cooldowns WHERE expires_at < ?').run(now);
   if (result.changes > 0) {
     console.log(`[DB] Cleaned up ${result.changes} expired cooldowns`);
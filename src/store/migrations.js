@@ -0,0 +1,199 @@
+/**
+ * Versioned schema migrations for the signals database
+ * The applied version is tracked in PRAGMA user_version.
+ *
+ * Rules:
+ * - Append new migrations to the end, never edit or reorder applied ones
+ * - Each migration runs in its own transaction together with the version bump
+ * - Version N is MIGRATIONS[N - 1]
+ */
+
+/**
+ * Add a column to an existing table if it is not there yet
+ * Used to adopt databases created before versioning, which may already have the column
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    name: 'initial schema',
+    up(db) {
+      // IF NOT EXISTS: databases created before versioning already have these tables
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS signals (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          symbol TEXT NOT NULL,
+          timeframe TEXT NOT NULL,
+          side TEXT NOT NULL,
+          setup_type TEXT NOT NULL,
+          setup_name TEXT,
+          score INTEGER NOT NULL,
+          entry REAL NOT NULL,
+          stop_loss REAL NOT NULL,
+          take_profit1 REAL NOT NULL,
+          take_profit2 REAL NOT NULL,
+          risk_reward REAL,
+          zone_key TEXT,
+          timestamp INTEGER NOT NULL,
+          sent_at INTEGER NOT NULL,
+          message TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS cooldowns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cooldown_key TEXT UNIQUE NOT NULL,
+          symbol TEXT NOT NULL,
+          timeframe TEXT NOT NULL,
+          side TEXT NOT NULL,
+          zone_key TEXT,
+          expires_at INTEGER NOT NULL,
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_signals_symbol_tf ON signals(symbol, timeframe);
+        CREATE INDEX IF NOT EXISTS idx_signals_timestamp ON signals(timestamp DESC);
+        CREATE INDEX IF NOT EXISTS idx_cooldowns_key ON cooldowns(cooldown_key);
+        CREATE INDEX IF NOT EXISTS idx_cooldowns_expires ON cooldowns(expires_at);
+      `);
+    }
+  },
+  {
+    name: 'signal outcomes and telegram message refs',
+    up(db) {
+      // realized_r, mfe_r and mae_r are multiples of the initial risk (entry → stop_loss)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS signal_outcomes (
+          signal_id INTEGER PRIMARY KEY REFERENCES signals(id),
+          status TEXT NOT NULL,
+          current_stop REAL NOT NULL,
+          filled_at INTEGER,
+          tp1_hit_at INTEGER,
+          tp2_hit_at INTEGER,
+          sl_hit_at INTEGER,
+          closed_at INTEGER,
+          realized_r REAL,
+          mfe_r REAL,
+          mae_r REAL,
+          last_candle_time INTEGER,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS signal_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          signal_id INTEGER NOT NULL REFERENCES signals(id),
+          chat_id TEXT NOT NULL,
+          message_id INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_outcomes_status ON signal_outcomes(status);
+        CREATE INDEX IF NOT EXISTS idx_signal_messages_signal ON signal_messages(signal_id);
+      `);
+
+      // Outcome tables created before R/excursion tracking
+      addColumnIfMissing(db, 'signal_outcomes', 'realized_r', 'REAL');
+      addColumnIfMissing(db, 'signal_outcomes', 'mfe_r', 'REAL');
+      addColumnIfMissing(db, 'signal_outcomes', 'mae_r', 'REAL');
+    }
+  },
+  {
+    name: 'signal context',
+    up(db) {
+      addColumnIfMissing(db, 'signals', 'context', 'TEXT');
+    }
+  },
+  {
+    name: 'candidate audit log',
+    up(db) {
+      db.exec(`
+        CREATE TABLE candidates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          symbol TEXT NOT NULL,
+          timeframe TEXT NOT NULL,
+          side TEXT NOT NULL,
+          setup_type TEXT NOT NULL,
+          setup_name TEXT,
+          candle_time INTEGER NOT NULL,
+          outcome TEXT NOT NULL,
+          score INTEGER,
+          volume_ratio REAL,
+          risk_reward REAL,
+          chase_score REAL,
+          htf_bias TEXT,
+          signal_id INTEGER REFERENCES signals(id),
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_candidates_candle_time ON candidates(candle_time DESC);
+        CREATE INDEX idx_candidates_outcome ON candidates(outcome, timeframe, setup_type);
+      `);
+    }
+  },
+  {
+    name: 'runtime settings',
+    up(db) {
+      db.exec(`
+        CREATE TABLE settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+      `);
+    }
+  }
+];
+
+/**
+ * Get the schema version recorded in the database
+ */
+function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Apply pending migrations
+ * Throws if the database was migrated by a newer build than this one
+ * @param {Object} db - better-sqlite3 database
+ * @returns {number} Schema version after migrating
+ */
+function runMigrations(db) {
+  const current = getSchemaVersion(db);
+  const latest = MIGRATIONS.length;
+
+  if (current > latest) {
+    throw new Error(
+      `Database schema version ${current} is newer than this build supports (${latest}). ` +
+      'Refusing to start: upgrade PA-Bot or restore a matching database.'
+    );
+  }
+
+  for (let version = current + 1; version <= latest; version++) {
+    const migration = MIGRATIONS[version - 1];
+
+    const apply = db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${version}`);
+    });
+
+    try {
+      apply();
+    } catch (err) {
+      throw new Error(`Migration ${version} (${migration.name}) failed: ${err.message}`);
+    }
+
+    console.log(`[DB] Applied migration ${version}: ${migration.name}`);
+  }
+
+  return latest;
+}
+
+module.exports = {
+  MIGRATIONS,
+  getSchemaVersion,
+  runMigrations
+};
@@ -0,0 +1,97 @@
+const { getDatabase } = require('./db');
+
+/**
+ * Store and update signal lifecycle outcomes
+ */
+
+// Statuses that are still being tracked
+const OPEN_STATUSES = ['PENDING', 'OPEN', 'TP1'];
+
+/**
+ * Start tracking a saved signal
+ * @param {number} signalId
+ * @param {number} stopLoss - Initial stop loss
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ */
+function createOutcome(signalId, stopLoss, now = Date.now()) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO signal_outcomes (signal_id, status, current_stop, created_at, updated_at)
+    VALUES (?, 'PENDING', ?, ?, ?)
+  `);
+
+  stmt.run(signalId, stopLoss, now, now);
+}
+
+/**
+ * Get open outcomes joined with their signal levels
+ * @param {string} symbol - Optional symbol filter
+ * @param {string} timeframe - Optional timeframe filter
+ * @returns {Array}
+ */
+function getOpenOutcomes(symbol = null, timeframe = null) {
+  const db = getDatabase();
+
+  const placeholders = OPEN_STATUSES.map(() => '?').join(', ');
+  let sql = `
+    SELECT o.*, s.symbol, s.timeframe, s.side, s.entry, s.stop_loss,
+           s.take_profit1, s.take_profit2, s.timestamp
+    FROM signal_outcomes o
+    JOIN signals s ON s.id = o.signal_id
+    WHERE o.status IN (${placeholders})
+  `;
+  const params = [...OPEN_STATUSES];
+
+  if (symbol) {
+    sql += ' AND s.symbol = ?';
+    params.push(symbol);
+  }
+  if (timeframe) {
+    sql += ' AND s.timeframe = ?';
+    params.push(timeframe);
+  }
+
+  sql += ' ORDER BY s.timestamp ASC';
+
+  return db.prepare(sql).all(...params);
+}
+
+/**
+ * Update outcome fields
+ * @param {number} signalId
+ * @param {Object} fields - Column/value pairs (snake_case)
+ * @param {number} now - Current time in milliseconds (default: Date.now())
+ */
+function updateOutcome(signalId, fields, now = Date.now()) {
+  const db = getDatabase();
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return;
+
+  const assignments = columns.map((col) => `${col} = ?`).join(', ');
+  const stmt = db.prepare(`
+    UPDATE signal_outcomes SET ${assignments}, updated_at = ?
+    WHERE signal_id = ?
+  `);
+
+  stmt.run(...columns.map((col) => fields[col]), now, signalId);
+}
+
+/**
+ * Get outcome for a signal
+ * @param {number} signalId
+ * @returns {Object|undefined}
+ */
+function getOutcome(signalId) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM signal_outcomes WHERE signal_id = ?').get(signalId);
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  createOutcome,
+  getOpenOutcomes,
+  updateOutcome,
+  getOutcome
+};
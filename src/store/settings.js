@@ -0,0 +1,49 @@
+const { getDatabase } = require('./db');
+
+/**
+ * Persistent runtime settings (JSON values keyed by name)
+ * Used for admin overrides that must survive restarts
+ */
+
+/**
+ * Get a setting
+ * @param {string} key
+ * @param {*} defaultValue - Returned when the setting is not stored
+ * @returns {*} Parsed value
+ */
+function getSetting(key, defaultValue = null) {
+  const db = getDatabase();
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? JSON.parse(row.value) : defaultValue;
+}
+
+/**
+ * Store a setting
+ * @param {string} key
+ * @param {*} value - JSON-serializable value
+ */
+function setSetting(key, value) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO settings (key, value, updated_at)
+    VALUES (?, ?, ?)
+  `);
+
+  stmt.run(key, JSON.stringify(value), Date.now());
+}
+
+/**
+ * Remove a setting
+ * @param {string} key
+ */
+function deleteSetting(key) {
+  const db = getDatabase();
+  db.prepare('DELETE FROM settings WHERE key = ?').run(key);
+}
+
+module.exports = {
+  getSetting,
+  setSetting,
+  deleteSetting
+};
@@ -4,20 +4,56 @@ const { getDatabase } = require('./db');
  * Store and retrieve sent signals
  */
 
+// Bump when the shape of the stored context changes
+const SIGNAL_CONTEXT_VERSION = 1;
+
+/**
+ * Build the decision context stored alongside a signal
+ * @param {Object} signal - Signal object as produced by the engine
+ * @returns {Object} Versioned, JSON-serializable context
+ */
+function buildSignalContext(signal) {
+  const setup = signal.setup || {};
+
+  return {
+    version: SIGNAL_CONTEXT_VERSION,
+    stage: signal.stage || 'ENTRY',
+    score: signal.score,
+    scoreBreakdown: signal.scoreBreakdown || null,
+    htfBias: signal.htfBias || null,
+    divergence: signal.divergence || null,
+    volumeRatio: signal.volumeRatio ?? null,
+    chaseEval: signal.chaseEval || null,
+    levels: signal.levels || null,
+    candle: signal.candle || null,
+    setup: {
+      type: setup.type || null,
+      name: setup.name || null,
+      side: setup.side || null,
+      price: setup.price ?? null,
+      isTrue: setup.isTrue ?? null,
+      pattern: setup.pattern || null,
+      zone: setup.zone || null,
+      zones: setup.zones || null
+    }
+  };
+}
+
 /**
  * Save a sent signal to the database
  * @param {Object} signal - Signal object with all details
+ * @param {number} sentAt - Send time in milliseconds (default: Date.now())
  * @returns {number} Inserted signal ID
  */
-function saveSignal(signal) {
+function saveSignal(signal, sentAt = Date.now()) {
   const db = getDatabase();
 
   const stmt = db.prepare(`
     INSERT INTO signals (
       symbol, timeframe, side, setup_type, setup_name, score,
       entry, stop_loss, take_profit1, take_profit2, risk_reward,
-      zone_key, timestamp, sent_at, message
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      zone_key, timestamp, sent_at, message, context
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const result = stmt.run(
@@ -34,8 +70,9 @@ function saveSignal(signal) {
     signal.risk_reward || null,
     signal.zone_key || null,
     signal.timestamp,
-    Date.now(),
-    signal.message || null
+    sentAt,
+    signal.message || null,
+    JSON.stringify(buildSignalContext(signal))
   );
 
   console.log(`[Signals] Saved signal ID ${result.lastInsertRowid} for ${signal.symbol} ${signal.timeframe}`);
@@ -43,6 +80,18 @@ function saveSignal(signal) {
   return result.lastInsertRowid;
 }
 
+/**
+ * Get the stored decision context for a signal
+ * @param {number} signalId
+ * @returns {Object|null} Parsed context, or null if none was stored
+ */
+function getSignalContext(signalId) {
+  const db = getDatabase();
+  const row = db.prepare('SELECT context FROM signals WHERE id = ?').get(signalId);
+  if (!row || !row.context) return null;
+  return JSON.parse(row.context);
+}
+
 /**
  * Get recent signals
  * @param {number} limit - Number of signals to retrieve
@@ -108,8 +157,59 @@ function countSignals() {
   return result.count;
 }
 
+/**
+ * Aggregate closed-trade performance grouped by an SQL expression
+ * Only outcomes with a realized R count as trades (unfilled/expired-before-entry are excluded)
+ * avgR is the expectancy per trade in R
+ * @param {string} groupExpr - SQL expression to group by (null for overall)
+ * @param {string} orderBy - SQL ordering of the groups
+ * @returns {Array<Object>} Rows with trades, wins, losses, winRate, avgR, avgWinR, avgLossR
+ */
+function getPerformance(groupExpr = null, orderBy = 'trades DESC') {
+  const db = getDatabase();
+
+  const keySelect = groupExpr ? `${groupExpr} as key,` : '';
+  const groupBy = groupExpr ? `GROUP BY ${groupExpr} ORDER BY ${orderBy}` : '';
+
+  const rows = db.prepare(`
+    SELECT ${keySelect}
+      COUNT(*) as trades,
+      SUM(CASE WHEN o.realized_r > 0 THEN 1 ELSE 0 END) as wins,
+      SUM(CASE WHEN o.realized_r < 0 THEN 1 ELSE 0 END) as losses,
+      AVG(o.realized_r) as avg_r,
+      AVG(CASE WHEN o.realized_r > 0 THEN o.realized_r END) as avg_win_r,
+      AVG(CASE WHEN o.realized_r < 0 THEN o.realized_r END) as avg_loss_r,
+      AVG(o.mfe_r) as avg_mfe_r,
+      AVG(o.mae_r) as avg_mae_r
+    FROM signals s
+    JOIN signal_outcomes o ON o.signal_id = s.id
+    WHERE o.realized_r IS NOT NULL
+    ${groupBy}
+  `).all();
+
+  return rows
+    .filter((row) => row.trades > 0)
+    .map((row) => {
+      const winRate = row.wins / row.trades;
+
+      return {
+        ...(groupExpr ? { key: row.key } : {}),
+        trades: row.trades,
+        wins: row.wins,
+        losses: row.losses,
+        winRate: (winRate * 100).toFixed(2),
+        avgR: row.avg_r.toFixed(2),
+        avgWinR: row.avg_win_r !== null ? row.avg_win_r.toFixed(2) : null,
+        avgLossR: row.avg_loss_r !== null ? row.avg_loss_r.toFixed(2) : null,
+        avgMfeR: row.avg_mfe_r !== null ? row.avg_mfe_r.toFixed(2) : null,
+        avgMaeR: row.avg_mae_r !== null ? row.avg_mae_r.toFixed(2) : null
+      };
+    });
+}
+
 /**
  * Get signal statistics
+ * Performance figures are in R multiples and come from tracked outcomes
  * @returns {Object} Statistics object
  */
 function getSignalStats() {
@@ -136,16 +236,71 @@ function getSignalStats() {
   const avgScoreStmt = db.prepare('SELECT AVG(score) as avg_score FROM signals');
   const avgScore = avgScoreStmt.get().avg_score;
 
+  const byStatusStmt = db.prepare(`
+    SELECT status, COUNT(*) as count
+    FROM signal_outcomes
+    GROUP BY status
+  `);
+  const byStatus = byStatusStmt.all();
+
   return {
     total,
     bySymbol,
     bySide,
-    avgScore: avgScore ? avgScore.toFixed(2) : 0
+    avgScore: avgScore ? avgScore.toFixed(2) : 0,
+    byStatus,
+    performance: {
+      overall: getPerformance()[0] || null,
+      bySymbol: getPerformance('s.symbol'),
+      bySetupType: getPerformance('s.setup_type'),
+      // Score buckets of 10 points, lowest first, labelled e.g. '70-79'
+      byScoreBucket: getPerformance('CAST(s.score / 10 AS INTEGER) * 10', 'key ASC')
+        .map((row) => ({ ...row, key: `${row.key}-${row.key + 9}` }))
+    }
   };
 }
 
+/**
+ * Save Telegram message references for a signal
+ * @param {number} signalId
+ * @param {Array<{chatId: string, messageId: number}>} messages
+ */
+function saveSignalMessages(signalId, messages) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    INSERT INTO signal_messages (signal_id, chat_id, message_id)
+    VALUES (?, ?, ?)
+  `);
+
+  for (const m of messages) {
+    stmt.run(signalId, String(m.chatId), m.messageId);
+  }
+}
+
+/**
+ * Get Telegram message references for a signal
+ * @param {number} signalId
+ * @returns {Array<{chatId: string, messageId: number}>}
+ */
+function getSignalMessages(signalId) {
+  const db = getDatabase();
+
+  const stmt = db.prepare(`
+    SELECT chat_id, message_id FROM signal_messages
+    WHERE signal_id = ?
+  `);
+
+  return stmt.all(signalId).map((row) => ({ chatId: row.chat_id, messageId: row.message_id }));
+}
+
 module.exports = {
+  SIGNAL_CONTEXT_VERSION,
+  buildSignalContext,
   saveSignal,
+  getSignalContext,
+  saveSignalMessages,
+  getSignalMessages,
   getRecentSignals,
   getSignalsBySymbol,
   getSignalsByTimeRange,
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Telegram Routing Tests
+ * Checks which chats receive admin alerts, in DRY_RUN mode (no bot)
+ */
+
+process.env.DRY_RUN = 'true';
+process.env.TELEGRAM_CHAT_ID = '100';
+process.env.TELEGRAM_GROUP_ID = '-200';
+
+const { getChatIds, getAdminChatId, sendAdminAlert } = require('./src/notify/telegram');
+
+console.log('='.repeat(60));
+console.log('PA-Bot Telegram Routing - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Run fn and return what it logged
+ */
+async function captureLogs(fn) {
+  const lines = [];
+  const { log, warn } = console;
+  console.log = (...args) => lines.push(args.join(' '));
+  console.warn = console.log;
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+  return lines.join('\n');
+}
+
+async function run() {
+  await test('signals go to the chat and the group', async () => {
+    expect(getChatIds(), ['100', '-200'], 'chat ids');
+  });
+
+  await test('admin alerts fall back to TELEGRAM_CHAT_ID, never the group', async () => {
+    expect(getAdminChatId(), '100', 'admin chat');
+    const logs = await captureLogs(() => sendAdminAlert('stalled'));
+    expect(logs.includes('admin alert to 100:'), true, 'sent to chat');
+    expect(logs.includes('-200'), false, 'group not addressed');
+  });
+
+  await test('admin alerts go only to TELEGRAM_ADMIN_CHAT_ID when set', async () => {
+    process.env.TELEGRAM_ADMIN_CHAT_ID = ' 300 ';
+    const logs = await captureLogs(() => sendAdminAlert('stalled'));
+    expect(logs.includes('admin alert to 300:'), true, 'sent to admin chat');
+    expect(logs.includes('-200'), false, 'group not addressed');
+    delete process.env.TELEGRAM_ADMIN_CHAT_ID;
+  });
+
+  await test('admin alerts are only logged without a chat', async () => {
+    delete process.env.TELEGRAM_CHAT_ID;
+    expect(getAdminChatId(), null, 'no admin chat');
+    let sent = null;
+    const logs = await captureLogs(async () => {
+      sent = await sendAdminAlert('stalled');
+    });
+    expect(sent, false, 'not sent');
+    expect(logs.includes('-200'), false, 'group not addressed');
+  });
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();
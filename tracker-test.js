@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+/**
+ * Signal Tracker Tests
+ * Checks candle evaluation, realized R and forming-candle handling without a database
+ */
+
+const SignalTracker = require('./src/app/tracker');
+const { evaluateCandle, calculateRealizedR } = SignalTracker;
+
+console.log('='.repeat(60));
+console.log('PA-Bot Signal Tracker - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function expectClose(actual, expected, label) {
+  if (Math.abs(actual - expected) > 1e-9) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const SIGNAL_TIME = 1700000000000 - (1700000000000 % HOUR);
+
+function longOutcome(overrides = {}) {
+  return {
+    signal_id: 1,
+    symbol: 'BTCUSDT',
+    timeframe: '1h',
+    side: 'LONG',
+    status: 'OPEN',
+    entry: 100,
+    stop_loss: 98,
+    take_profit1: 102,
+    take_profit2: 104,
+    current_stop: 98,
+    timestamp: SIGNAL_TIME,
+    last_candle_time: null,
+    mfe_r: 0,
+    mae_r: 0,
+    ...overrides
+  };
+}
+
+function bar(index, high, low, extra = {}) {
+  const openTime = SIGNAL_TIME + index * HOUR;
+  return { openTime, closeTime: openTime + HOUR - 1, open: low, high, low, close: high, volume: 1, ...extra };
+}
+
+/**
+ * Tracker wired to a single in-memory outcome, collecting follow-ups
+ */
+function createTracker(outcome, config = {}) {
+  const followUps = [];
+  const tracker = new SignalTracker({ useFormingCandles: true, ...config }, {
+    clock: { now: () => SIGNAL_TIME },
+    store: {
+      OPEN_STATUSES: ['PENDING', 'OPEN', 'TP1'],
+      getOpenOutcomes: () => (['PENDING', 'OPEN', 'TP1'].includes(outcome.status) ? [outcome] : []),
+      updateOutcome: (signalId, fields) => Object.assign(outcome, fields),
+      getSignalMessages: () => [],
+      createOutcome: () => {},
+      saveSignalMessages: () => {}
+    },
+    notifier: {
+      sendFollowUp: async (refs, text) => {
+        followUps.push(text);
+        return true;
+      }
+    }
+  });
+  return { tracker, followUps };
+}
+
+async function run() {
+  await test('calculateRealizedR without TP1 is the R of the exit', () => {
+    const outcome = longOutcome();
+    expectClose(calculateRealizedR(outcome, false, 98, 50), -1, 'stop exit');
+    expectClose(calculateRealizedR(outcome, false, 103, 50), 1.5, 'target exit');
+  });
+
+  await test('calculateRealizedR blends the TP1 portion with the exit', () => {
+    const outcome = longOutcome();
+    expectClose(calculateRealizedR(outcome, true, 100, 50), 0.5, 'breakeven after TP1');
+    expectClose(calculateRealizedR(outcome, true, 104, 50), 1.5, 'TP2 after TP1');
+    expectClose(calculateRealizedR(outcome, true, 100, 25), 0.25, '25% at TP1');
+  });
+
+  await test('calculateRealizedR handles SHORT and zero risk', () => {
+    const short = longOutcome({ side: 'SHORT', stop_loss: 102, take_profit1: 98, take_profit2: 96 });
+    expectClose(calculateRealizedR(short, false, 102, 50), -1, 'short stop');
+    expectClose(calculateRealizedR(short, true, 96, 50), 1.5, 'short TP2');
+    expect(calculateRealizedR(longOutcome({ stop_loss: 100 }), false, 105, 50), 0, 'zero risk');
+  });
+
+  await test('evaluateCandle fills a pending signal when the candle spans entry', () => {
+    const pending = longOutcome({ status: 'PENDING' });
+    const missed = evaluateCandle(pending, bar(1, 101.5, 100.5));
+    expect(missed.events.length, 0, 'events without fill');
+
+    const { fields, events } = evaluateCandle(pending, bar(1, 101, 99));
+    expect(fields.status, 'OPEN', 'status');
+    expect(events[0].type, 'FILLED', 'event');
+  });
+
+  await test('evaluateCandle assumes the stop hits first when one candle touches both', () => {
+    const { fields, events } = evaluateCandle(longOutcome(), bar(1, 105, 97));
+    expect(fields.status, 'SL', 'status');
+    expectClose(fields.realized_r, -1, 'realized R');
+    expect(events.length, 1, 'event count');
+  });
+
+  await test('evaluateCandle takes TP1 then TP2 in the same candle', () => {
+    const { fields, events } = evaluateCandle(longOutcome(), bar(1, 104.5, 99));
+    expect(fields.status, 'TP2', 'status');
+    expect(events.map((e) => e.type).join(','), 'TP1,TP2', 'events');
+    expectClose(fields.realized_r, 1.5, 'realized R');
+  });
+
+  await test('evaluateCandle moves the stop to entry at TP1 and closes BREAKEVEN later', () => {
+    const first = evaluateCandle(longOutcome(), bar(1, 102.5, 99));
+    expect(first.fields.status, 'TP1', 'status after TP1');
+    expect(first.fields.current_stop, 100, 'stop moved to entry');
+
+    const afterTp1 = longOutcome({ status: 'TP1', current_stop: 100 });
+    const { fields } = evaluateCandle(afterTp1, bar(2, 101, 99.5));
+    expect(fields.status, 'BREAKEVEN', 'status');
+    expectClose(fields.realized_r, 0.5, 'realized R');
+  });
+
+  await test('evaluateCandle tracks MFE/MAE and mirrors SHORT', () => {
+    const short = longOutcome({ side: 'SHORT', stop_loss: 102, current_stop: 102, take_profit1: 98, take_profit2: 96 });
+    const { fields } = evaluateCandle(short, bar(1, 101, 99));
+    expectClose(fields.mfe_r, 0.5, 'MFE');
+    expectClose(fields.mae_r, -0.5, 'MAE');
+    expect(fields.status, undefined, 'status unchanged');
+  });
+
+  await test('evaluateCandle only counts extremes beyond the ones already seen', () => {
+    const afterTp1 = longOutcome({ status: 'TP1', current_stop: 100 });
+    const stale = evaluateCandle(afterTp1, bar(1, 102.2, 100), 50, { high: 102, low: 100 });
+    expect(stale.fields.status, undefined, 'no close on a low seen before TP1');
+
+    const fresh = evaluateCandle(afterTp1, bar(1, 102.2, 99.9), 50, { high: 102, low: 100 });
+    expect(fresh.fields.status, 'BREAKEVEN', 'close on a new low');
+  });
+
+  await test('forming update after TP1 does not close BREAKEVEN on the earlier low', async () => {
+    const outcome = longOutcome();
+    const { tracker, followUps } = createTracker(outcome);
+
+    await tracker.onIntrabarUpdate('BTCUSDT', '1h', bar(1, 101, 100, { isClosed: false }));
+    await tracker.onIntrabarUpdate('BTCUSDT', '1h', bar(1, 102, 100, { isClosed: false }));
+    expect(outcome.status, 'TP1', 'status after TP1 tick');
+
+    await tracker.onIntrabarUpdate('BTCUSDT', '1h', bar(1, 102.2, 100, { isClosed: false }));
+    expect(outcome.status, 'TP1', 'status after next tick');
+    expect(outcome.realized_r, undefined, 'realized R');
+
+    await tracker.onCandleClosed('BTCUSDT', '1h', bar(1, 102.2, 100));
+    expect(outcome.status, 'TP1', 'status after close');
+    expect(followUps.length, 1, 'follow-ups sent');
+
+    await tracker.onCandleClosed('BTCUSDT', '1h', bar(2, 101, 99.8));
+    expect(outcome.status, 'BREAKEVEN', 'status on next bar');
+  });
+
+  await test('forming fill does not stop out on a low from before the fill', async () => {
+    const outcome = longOutcome({ status: 'PENDING' });
+    const { tracker } = createTracker(outcome);
+
+    await tracker.onIntrabarUpdate('BTCUSDT', '1h', bar(1, 99.5, 97.5, { isClosed: false }));
+    expect(outcome.status, 'PENDING', 'status before fill');
+
+    await tracker.onIntrabarUpdate('BTCUSDT', '1h', bar(1, 100.5, 97.5, { isClosed: false }));
+    expect(outcome.status, 'OPEN', 'status after fill');
+
+    await tracker.onIntrabarUpdate('BTCUSDT', '1h', bar(1, 100.5, 97.4, { isClosed: false }));
+    expect(outcome.status, 'SL', 'status after a new low');
+  });
+
+  await test('fill bar counts toward excursions like stops and targets', async () => {
+    const filled = evaluateCandle(longOutcome({ status: 'PENDING' }), bar(1, 101.5, 99));
+    expect(filled.fields.status, 'OPEN', 'filled');
+    expectClose(filled.fields.mfe_r, 0.75, 'MFE on fill bar');
+    expectClose(filled.fields.mae_r, -0.5, 'MAE on fill bar');
+
+    const target = evaluateCandle(longOutcome({ status: 'PENDING' }), bar(1, 103, 99.5));
+    expect(target.fields.status, 'TP1', 'TP1 on fill bar');
+    expectClose(target.fields.mfe_r, 1.5, 'MFE with TP1 on fill bar');
+
+    const stop = evaluateCandle(longOutcome({ status: 'PENDING' }), bar(1, 100.5, 97));
+    expect(stop.fields.status, 'SL', 'SL on fill bar');
+    expectClose(stop.fields.mae_r, -1.5, 'MAE with SL on fill bar');
+
+    const outcome = longOutcome({ status: 'PENDING' });
+    const { tracker } = createTracker(outcome);
+    await tracker.onIntrabarUpdate('BTCUSDT', '1h', bar(1, 100.5, 99, { isClosed: false }));
+    await tracker.onIntrabarUpdate('BTCUSDT', '1h', bar(1, 101, 99, { isClosed: false }));
+    expectClose(outcome.mfe_r, 0.5, 'new high of the fill bar');
+    expectClose(outcome.mae_r, -0.5, 'low of the fill bar');
+  });
+
+  await test('expiry uses the open statuses of the injected store', async () => {
+    const outcome = longOutcome({ status: 'PENDING' });
+    const { tracker } = createTracker(outcome, { entryExpiryCandles: 3 });
+    await tracker.onCandleClosed('BTCUSDT', '1h', bar(1, 97, 96));
+    expect(outcome.status, 'PENDING', 'still pending');
+    await tracker.onCandleClosed('BTCUSDT', '1h', bar(2, 97, 96));
+    expect(outcome.status, 'EXPIRED', 'expired');
+  });
+
+  await test('closed candles without forming updates evaluate the full range', async () => {
+    const outcome = longOutcome();
+    const { tracker } = createTracker(outcome, { useFormingCandles: false });
+
+    await tracker.onIntrabarUpdate('BTCUSDT', '1h', bar(1, 102.5, 100, { isClosed: false }));
+    expect(outcome.status, 'OPEN', 'forming ignored');
+
+    await tracker.onCandleClosed('BTCUSDT', '1h', bar(1, 102.5, 97));
+    expect(outcome.status, 'SL', 'stop first');
+  });
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Universe Selection Tests
+ * Checks SYMBOLS=auto:topN parsing, the eligibility rules, and ranking by 24h quote volume
+ * against the local mock server
+ */
+
+const { startMockServer } = require('./scripts/mock-binance');
+
+const SYMBOLS = ['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'BNBUSDT'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+console.log('='.repeat(60));
+console.log('PA-Bot Universe Selection - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+function contract(overrides = {}) {
+  return {
+    symbol: 'XYZUSDT',
+    status: 'TRADING',
+    contractType: 'PERPETUAL',
+    quoteAsset: 'USDT',
+    onboardDate: 0,
+    ...overrides
+  };
+}
+
+async function run() {
+  const mock = await startMockServer({ port: 0, symbols: SYMBOLS });
+
+  // The REST client reads its base URL when loaded
+  process.env.BINANCE_API_BASE = mock.restUrl;
+  const { parseUniverseSpec, isEligible, selectUniverse } = require('./src/app/universe');
+  const { fetch24hrTicker } = require('./src/binance/rest');
+
+  const config = { quoteAsset: 'USDT', minQuoteVolume: 0, minListingDays: 0, exclude: [] };
+
+  await test('auto:topN is parsed and static lists are not', async () => {
+    expect(parseUniverseSpec('auto:top30'), { top: 30 }, 'auto:top30');
+    expect(parseUniverseSpec(' AUTO:TOP5 '), { top: 5 }, 'case and spaces');
+    expect(parseUniverseSpec('BTCUSDT,ETHUSDT'), null, 'static list');
+    expect(parseUniverseSpec('auto:top'), null, 'missing count');
+  });
+
+  await test('only TRADING USDT perpetuals are eligible', async () => {
+    expect(isEligible(contract(), config), true, 'perpetual');
+    expect(isEligible(contract({ status: 'SETTLING' }), config), false, 'settling');
+    expect(isEligible(contract({ contractType: 'CURRENT_QUARTER' }), config), false, 'quarterly');
+    expect(isEligible(contract({ quoteAsset: 'USDC' }), config), false, 'USDC quote');
+  });
+
+  await test('excluded and recently listed contracts are not eligible', async () => {
+    const now = Date.UTC(2026, 9, 19);
+    expect(isEligible(contract(), { ...config, exclude: ['XYZUSDT'] }, now), false, 'excluded');
+
+    const minListing = { ...config, minListingDays: 30 };
+    expect(isEligible(contract({ onboardDate: now - 10 * DAY_MS }), minListing, now), false, '10 days old');
+    expect(isEligible(contract({ onboardDate: now - 31 * DAY_MS }), minListing, now), true, '31 days old');
+  });
+
+  // The mock's volumes come from its generated candles, so rank them the same way here
+  const ranked = (await fetch24hrTicker())
+    .sort((a, b) => parseFloat(b.quoteVolume) - parseFloat(a.quoteVolume))
+    .map((t) => t.symbol);
+
+  await test('the top N symbols are picked by 24h quote volume', async () => {
+    expect(await selectUniverse(2, config), ranked.slice(0, 2), 'top 2');
+    expect(await selectUniverse(10, config), ranked, 'top 10 of 4');
+  });
+
+  await test('excluded symbols leave room for the next most liquid', async () => {
+    const exclude = [ranked[0]];
+    expect(await selectUniverse(2, { ...config, exclude }), ranked.slice(1, 3), 'top 2 without the leader');
+  });
+
+  await test('symbols below UNIVERSE_MIN_QUOTE_VOLUME are dropped', async () => {
+    const tickers = await fetch24hrTicker();
+    const second = tickers.find((t) => t.symbol === ranked[1]);
+    const minQuoteVolume = parseFloat(second.quoteVolume);
+    expect(await selectUniverse(10, { ...config, minQuoteVolume }), ranked.slice(0, 2), 'at least the second');
+  });
+
+  await mock.close();
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * WebSocket Health Tests
+ * Pauses the local mock server's kline stream across a candle close and drives the stall
+ * detector with a simulated clock: a late close is recovered over REST right away, and the
+ * connection is only reconnected once the close grace period has passed
+ */
+
+const { startMockServer } = require('./scripts/mock-binance');
+
+const MINUTE = 60 * 1000;
+const SYMBOL = 'BTCUSDT';
+const KEY = `${SYMBOL}_1m`;
+const TEST_TIMEOUT_MS = 30000;
+
+console.log('='.repeat(60));
+console.log('PA-Bot WebSocket Health - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Poll until check() is true
+ */
+async function waitFor(check, timeoutMs, label) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`timed out waiting for ${label}`);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Shift the shared clock so it reads `target` now
+ */
+function jumpTo(clock, target) {
+  clock.offset += target - clock.now();
+}
+
+async function run() {
+  const clock = {
+    offset: 0,
+    now() {
+      return Date.now() + this.offset;
+    }
+  };
+  // Start just before a minute boundary
+  const boundary = Math.ceil(Date.now() / MINUTE) * MINUTE;
+  jumpTo(clock, boundary - 1500);
+
+  const mock = await startMockServer({ port: 0, symbols: [SYMBOL], tickMs: 100, clock });
+
+  // The client and WebSocket read their config when loaded
+  process.env.BINANCE_API_BASE = mock.restUrl;
+  process.env.BINANCE_WS_BASE = mock.wsUrl;
+  process.env.WS_CLOSE_RECOVERY_SEC = '10';
+  process.env.WS_CLOSE_GRACE_SEC = '30';
+  const { fetchKlines } = require('./src/binance/rest');
+  const klinesCache = require('./src/binance/klinesCache');
+  const binanceWS = require('./src/binance/ws');
+
+  const history = (await fetchKlines(SYMBOL, '1m', 50)).filter((c) => c.closeTime < clock.now());
+  klinesCache.init(SYMBOL, '1m', history);
+
+  const closed = [];
+  const alerts = [];
+  binanceWS.setClock(clock);
+  binanceWS.setHealthAlertHandler((text) => alerts.push(text));
+  binanceWS.connect([SYMBOL], ['1m'], (symbol, timeframe, candle, meta) => {
+    closed.push({ openTime: candle.openTime, recovered: Boolean(meta.recovered) });
+  });
+  // Health checks are driven by the test
+  binanceWS.stopWatchdog();
+
+  const checkHealth = () => binanceWS.checkHealth(Date.now(), clock.now());
+
+  await test('live candle close arrives over the WebSocket', async () => {
+    await waitFor(() => closed.length >= 1, 10000, 'first close');
+    if (closed[0].openTime !== boundary - MINUTE) throw new Error(`closed candle @ ${closed[0].openTime}`);
+  });
+
+  await test('no action before the close is due', async () => {
+    mock.pause(10 * MINUTE);
+    jumpTo(clock, boundary + MINUTE - 1000);
+    checkHealth();
+    if (binanceWS.backfills.has(KEY)) throw new Error('recovery started early');
+    if (binanceWS.degraded.size > 0) throw new Error('degraded early');
+  });
+
+  await test('a close past WS_CLOSE_RECOVERY_SEC is recovered over REST without reconnecting', async () => {
+    jumpTo(clock, boundary + MINUTE + 15000);
+    checkHealth();
+    await binanceWS.backfills.get(KEY);
+    const last = closed[closed.length - 1];
+    if (last.openTime !== boundary || !last.recovered) throw new Error(`closes ${JSON.stringify(closed)}`);
+
+    checkHealth();
+    if (!binanceWS.isConnected) throw new Error('reconnected within the grace period');
+    if (binanceWS.degraded.size > 0 || alerts.length > 0) throw new Error('degraded within the grace period');
+  });
+
+  await test('the connection is reconnected once WS_CLOSE_GRACE_SEC has passed', async () => {
+    jumpTo(clock, boundary + MINUTE + 31000);
+    checkHealth();
+    if (!binanceWS.degraded.has(KEY)) throw new Error('stream not degraded');
+    await waitFor(() => !binanceWS.isConnected, 5000, 'disconnect');
+    if (!alerts.some((text) => text.includes('overdue'))) throw new Error(`alerts ${JSON.stringify(alerts)}`);
+  });
+
+  await test('the next live close clears the degraded state', async () => {
+    await waitFor(() => binanceWS.isConnected, 10000, 'reconnect');
+    jumpTo(clock, boundary + 2 * MINUTE - 1000);
+    mock.pause(0);
+    await waitFor(() => closed.some((c) => c.openTime === boundary + MINUTE && !c.recovered), 10000, 'live close');
+    if (binanceWS.degraded.has(KEY)) throw new Error('still degraded');
+    if (binanceWS.missedCloseDue.has(KEY)) throw new Error('missed close still tracked');
+  });
+
+  binanceWS.close();
+  await mock.close();
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Never hang on a connection that doesn't come back
+setTimeout(() => {
+  console.log(`✗ Tests did not finish within ${TEST_TIMEOUT_MS / 1000}s`);
+  process.exit(1);
+}, TEST_TIMEOUT_MS).unref();
+
+run();
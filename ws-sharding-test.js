@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * WebSocket Sharding Tests
+ * Splits streams across connections of at most WS_MAX_STREAMS_PER_CONNECTION against the
+ * local mock server: every shard delivers data, runtime subscriptions fill free room first,
+ * and a shard left without streams is closed
+ */
+
+const { startMockServer } = require('./scripts/mock-binance');
+
+const SYMBOLS = ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'];
+const LATE_SYMBOL = 'BNBUSDT';
+const TEST_TIMEOUT_MS = 20000;
+
+console.log('='.repeat(60));
+console.log('PA-Bot WebSocket Sharding - Tests');
+console.log('='.repeat(60));
+console.log();
+
+let passedTests = 0;
+let totalTests = 0;
+
+async function test(name, fn) {
+  totalTests++;
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passedTests++;
+    return true;
+  } catch (err) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${err.message}`);
+    return false;
+  }
+}
+
+function expect(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Poll until check() is true
+ */
+async function waitFor(check, timeoutMs, label) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`timed out waiting for ${label}`);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+async function run() {
+  const mock = await startMockServer({ port: 0, symbols: [...SYMBOLS, LATE_SYMBOL], tickMs: 100 });
+
+  // The WebSocket reads its config when loaded
+  process.env.BINANCE_WS_BASE = mock.wsUrl;
+  process.env.WS_MAX_STREAMS_PER_CONNECTION = '2';
+  const binanceWS = require('./src/binance/ws');
+
+  const updates = new Set();
+  binanceWS.connect(SYMBOLS, ['1m'], () => {}, (symbol) => updates.add(symbol));
+  binanceWS.stopWatchdog();
+
+  const shardSizes = () => binanceWS.connections.map((c) => c.streams.size);
+
+  await test('streams are split into shards of at most 2', async () => {
+    expect(shardSizes(), [2, 1], 'shard sizes');
+    await waitFor(() => binanceWS.isConnected, 5000, 'all shards connected');
+  });
+
+  await test('every shard delivers updates', async () => {
+    await waitFor(() => SYMBOLS.every((s) => updates.has(s)), 5000, 'updates from every symbol');
+  });
+
+  await test('a runtime subscription fills the shard with room', async () => {
+    binanceWS.subscribe(LATE_SYMBOL, ['1m']);
+    expect(shardSizes(), [2, 2], 'shard sizes');
+    await waitFor(() => updates.has(LATE_SYMBOL), 5000, `${LATE_SYMBOL} updates`);
+  });
+
+  await test('a shard left without streams is closed', async () => {
+    binanceWS.unsubscribe('SOLUSDT');
+    binanceWS.unsubscribe(LATE_SYMBOL);
+    expect(shardSizes(), [2], 'shard sizes');
+    expect(binanceWS.subscriptions, ['btcusdt@kline_1m', 'ethusdt@kline_1m'], 'subscriptions');
+
+    updates.clear();
+    await waitFor(() => updates.has('BTCUSDT') && updates.has('ETHUSDT'), 5000, 'updates after unsubscribe');
+    if (updates.has('SOLUSDT') || updates.has(LATE_SYMBOL)) throw new Error('updates for removed streams');
+  });
+
+  binanceWS.close();
+  await mock.close();
+
+  console.log();
+  console.log('='.repeat(60));
+  console.log(`Test Results: ${passedTests}/${totalTests} passed`);
+  console.log('='.repeat(60));
+
+  if (passedTests === totalTests) {
+    console.log('✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`✗ ${totalTests - passedTests} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Never hang on a connection that doesn't come back
+setTimeout(() => {
+  console.log(`✗ Tests did not finish within ${TEST_TIMEOUT_MS / 1000}s`);
+  process.exit(1);
+}, TEST_TIMEOUT_MS).unref();
+
+run();